@@ -71,6 +71,7 @@ export default [...compat.extends("eslint:recommended", "prettier"), {
             Sequence: true,
             Sequencer: true,
             SettingsConfig: true,
+            TextEditor: true,
             Token: true,
             TokenDocument: true,
             ui: true,
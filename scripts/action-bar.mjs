@@ -0,0 +1,159 @@
+import { getAdapter } from './adapters.mjs';
+import { getMacroSource } from './hotbar-ui.mjs';
+import { getTooltipHtml, setTooltip } from './tooltips.mjs';
+import { getModifierOptions } from './roll-options.mjs';
+import { getActorLabel, getActorPortrait, getMacroActor } from './attribution.mjs';
+import { getActionEconomyMode, isSpent } from './action-economy.mjs';
+import { log } from './utils.mjs';
+
+const MODULE_ID = 'jay-macros';
+
+export const SETTING_DISPLAY_MODE = 'displayMode';
+
+// Space kept between the action bar and the filter bar, the hotbar or the edge of the window
+const MARGIN = 4;
+
+/**
+ * Check if the auto macros are shown in the action bar instead of on the hotbar.
+ * @returns {boolean} true if the action bar is used
+ */
+export const isActionBarMode = () => game.settings.get(MODULE_ID, SETTING_DISPLAY_MODE) === 'bar';
+
+/**
+ * Bar that shows the collected items as buttons, without creating any Macro documents
+ * or touching the user's hotbar. It takes the same macro data the hotbar would get.
+ */
+export class ActionBarApplication extends foundry.applications.api.HandlebarsApplicationMixin(
+  foundry.applications.api.ApplicationV2,
+) {
+  constructor(options = {}) {
+    super(options);
+    this.entries = [];
+    this._onWindowResize = foundry.utils.debounce(this.followFilterBar.bind(this), 50);
+  }
+
+  static DEFAULT_OPTIONS = {
+    id: 'jay-macros-action-bar',
+    tag: 'div',
+    window: {
+      frame: false,
+      positioned: false,
+    },
+    position: {},
+    classes: ['jay-macros-action-bar'],
+    actions: {
+      use: ActionBarApplication.#onUse,
+    },
+  };
+
+  static PARTS = {
+    bar: {
+      template: 'modules/jay-macros/templates/action-bar.hbs',
+    },
+  };
+
+  async _prepareContext() {
+    const adapter = getAdapter();
+    const actors = this.entries.map((data) => getMacroActor(data.flags[MODULE_ID]));
+    const showActors = new Set(actors.filter((a) => a)).size > 1;
+
+    const entries = this.entries.map((data, index) => {
+      const flags = data.flags[MODULE_ID];
+      const { item, activity } = getMacroSource(flags);
+      const resource = item ? adapter.getResource(item, activity, flags.slot ?? null) : null;
+      const actor = showActors ? actors[index] : null;
+      return {
+        index,
+        portrait: actor ? getActorPortrait(actor) : null,
+        actorName: actor ? getActorLabel(actor) : null,
+        name: data.name,
+        img: data.img,
+        resource: resource?.label ?? null,
+        count: flags.group?.length ?? 0,
+        spent: !flags.group?.length && isSpent(item, activity),
+        unavailable: resource ? !resource.available : false,
+      };
+    });
+
+    return { entries, hasEntries: entries.length > 0, hideSpent: getActionEconomyMode() === 'hide' };
+  }
+
+  _onFirstRender(context, options) {
+    super._onFirstRender(context, options);
+    window.addEventListener('resize', this._onWindowResize);
+  }
+
+  _onClose(options) {
+    super._onClose(options);
+    window.removeEventListener('resize', this._onWindowResize);
+  }
+
+  _onRender(context, options) {
+    super._onRender(context, options);
+    this.followFilterBar();
+
+    // Hover cards need the enriched description, so they are filled in once ready
+    for (const button of this.element.querySelectorAll('[data-action="use"]')) {
+      const flags = this.entries[Number(button.dataset.index)]?.flags[MODULE_ID];
+      const { item, activity } = getMacroSource(flags);
+      if (!item) continue;
+      getTooltipHtml(item, activity, flags.slot ?? null)
+        .then((html) => setTooltip(button, html))
+        .catch((err) => log('Could not build the tooltip', err));
+    }
+  }
+
+  /**
+   * Use the item behind an entry of the bar.
+   * @param {number} index the index of the entry
+   * @param {import('./adapters.mjs').UseOptions} [options] how to use it, from the modifier keys if left out
+   * @returns {Promise} the result of using the item
+   */
+  async useEntry(index, options = getModifierOptions()) {
+    const flags = this.entries[index]?.flags[MODULE_ID];
+    if (!flags) return null;
+    return this.options.onUse?.(flags, options);
+  }
+
+  static async #onUse(event, target) {
+    event.preventDefault();
+    await this.useEntry(Number(target.dataset.index));
+  }
+
+  /**
+   * Move the action bar next to the filter bar: above it, or to its right when the filter bar is vertical.
+   * Without a visible filter bar it sits on top of the hotbar instead.
+   */
+  followFilterBar() {
+    const element = this.element;
+    if (!element) return;
+
+    const filters = document.getElementById('jay-macros-filters');
+    const nextToFilters = !!filters && !filters.classList.contains('jay-macros-hidden');
+    const rect = (nextToFilters ? filters : document.getElementById('hotbar'))?.getBoundingClientRect();
+
+    let left = rect?.left ?? MARGIN;
+    let top = (rect?.top ?? window.innerHeight) - element.offsetHeight - MARGIN;
+    if (nextToFilters && filters.classList.contains('jay-macros-vertical')) {
+      left = rect.right + MARGIN;
+      top = rect.top;
+    } else if (rect && top < 0) {
+      // No room above, so go below
+      top = rect.bottom + MARGIN;
+    }
+
+    left = Math.clamp(left, 0, Math.max(window.innerWidth - element.offsetWidth, 0));
+    top = Math.clamp(top, 0, Math.max(window.innerHeight - element.offsetHeight, 0));
+    element.style.left = `${left}px`;
+    element.style.top = `${top}px`;
+  }
+
+  /**
+   * Show new entries in the bar.
+   * @param {Array<object>} entries the macro data to show
+   */
+  setEntries(entries) {
+    this.entries = entries;
+    this.render(true);
+  }
+}
@@ -0,0 +1,116 @@
+import { getActivityActivationType, getItemActivationTypes } from './classify.mjs';
+import { getContextElement, log } from './utils.mjs';
+
+const MODULE_ID = 'jay-macros';
+
+export const SETTING_ACTION_ECONOMY = 'actionEconomy';
+
+// The activation types that can only be used once per turn
+const TRACKED_TYPES = ['action', 'bonus', 'reaction'];
+
+/**
+ * Get how spent activation types are shown.
+ * @returns {string} off, dim or hide
+ */
+export const getActionEconomyMode = () => game.settings.get(MODULE_ID, SETTING_ACTION_ECONOMY);
+
+/**
+ * Get the combatant of an actor in the running combat.
+ * @param {Actor} actor the actor
+ * @returns {Combatant|null} the combatant, if the actor is fighting
+ */
+export const getCombatant = (actor) => {
+  if (!actor || !game.combat?.started) return null;
+  return game.combat.combatants.find((c) => c.actor?.uuid === actor.uuid) ?? null;
+};
+
+/**
+ * Get the activation types a combatant already used this turn.
+ * @param {Combatant|null} combatant the combatant
+ * @returns {Array<string>} the spent activation types
+ */
+export const getSpentTypes = (combatant) => combatant?.getFlag(MODULE_ID, 'spent') ?? [];
+
+/**
+ * Get the tracked activation type that using an item (or activity) spends.
+ * Items that can be used in more than one way only count when an activity is picked.
+ * @param {Item} item the item
+ * @param {Activity|null} activity the activity
+ * @returns {string|null} action, bonus or reaction, or null if it spends nothing that is tracked
+ */
+const getSpentType = (item, activity) => {
+  const types = activity ? [getActivityActivationType(activity)] : [...getItemActivationTypes(item)];
+  return types.length === 1 && TRACKED_TYPES.includes(types[0]) ? types[0] : null;
+};
+
+/**
+ * Check if the activation type of an item (or activity) was already spent by its actor this turn.
+ * @param {Item} item the item
+ * @param {Activity|null} activity the activity
+ * @returns {boolean} true if it was spent
+ */
+export const isSpent = (item, activity) => {
+  if (getActionEconomyMode() === 'off' || !item) return false;
+
+  const type = getSpentType(item, activity);
+  return !!type && getSpentTypes(getCombatant(item.actor)).includes(type);
+};
+
+/**
+ * Mark the activation type of an item (or activity) as spent for its actor, when it is in combat.
+ * @param {Item} item the item that was used
+ * @param {Activity|null} activity the activity that was used
+ * @returns {Promise} resolves when the combatant was updated
+ */
+export const markSpent = async (item, activity) => {
+  if (getActionEconomyMode() === 'off') return;
+
+  const combatant = getCombatant(item?.actor);
+  const type = combatant?.isOwner ? getSpentType(item, activity) : null;
+  const spent = getSpentTypes(combatant);
+  if (!type || spent.includes(type)) return;
+
+  log(`${combatant.name} spent their ${type}`);
+  await combatant.setFlag(MODULE_ID, 'spent', [...spent, type]);
+};
+
+/**
+ * Forget what a combatant spent this turn.
+ * @param {Combatant|null} combatant the combatant
+ * @returns {Promise} resolves when the combatant was updated
+ */
+export const resetSpent = async (combatant) => {
+  if (!getSpentTypes(combatant).length || !combatant.isOwner) return;
+  await combatant.unsetFlag(MODULE_ID, 'spent');
+};
+
+/**
+ * Give the combatant whose turn starts its action, bonus action and reaction back.
+ * Only the active GM does this, so it happens once.
+ * @param {Combat} combat the combat that changed
+ * @param {object} changes the changes to the combat
+ */
+export const onCombatTurnChanged = (combat, changes) => {
+  if (!('turn' in changes || 'round' in changes)) return;
+  if (!game.users.activeGM?.isSelf) return;
+
+  resetSpent(combat.combatant).catch((err) => log('Could not reset the spent actions', err));
+};
+
+/**
+ * Get the combat tracker context menu entry that resets what a combatant spent.
+ * @returns {object} the context menu entry
+ */
+export const getCombatantContextOption = () => {
+  const getListedCombatant = (li) => {
+    const id = getContextElement(li)?.dataset.combatantId;
+    return (ui.combat?.viewed ?? game.combat)?.combatants.get(id) ?? null;
+  };
+
+  return {
+    name: `${MODULE_ID}.actionEconomy.reset`,
+    icon: '<i class="fas fa-hourglass-start"></i>',
+    condition: (li) => getSpentTypes(getListedCombatant(li)).length > 0,
+    callback: (li) => resetSpent(getListedCombatant(li)),
+  };
+};
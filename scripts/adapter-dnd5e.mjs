@@ -0,0 +1,115 @@
+import { getAvailableSpellSlots, getItemResource } from './resources.mjs';
+
+/**
+ * Get the activation type of an activity.
+ * @param {Activity} activity the activity to check
+ * @returns {string} the activation type (action, bonus, reaction, special, none, ...)
+ */
+const getActivityType = (activity) => activity?.activation?.type || 'none';
+
+/**
+ * Use an item, one of its activities, or a spell at a specific slot level.
+ * Spell slots are used without asking, for upcast variants.
+ * @param {Item} item the item
+ * @param {Activity|null} activity the activity to run
+ * @param {string|null} slot the spell slot key to cast with (spell1 ... spell9, pact)
+ * @param {import('./adapters.mjs').UseOptions} [options] how to use it
+ * @returns {Promise} the result of using it
+ */
+const useItem = async (item, activity, slot, options = {}) => {
+  const source = activity ?? item;
+  const usage = {};
+  if (slot) usage.spell = { slot };
+  if (options.consume === false) usage.consume = false;
+  if (options.template === false) usage.create = { measuredTemplate: false };
+
+  const result = await source?.use(usage, { configure: !slot && !options.fastForward });
+
+  // Advantage applies to the attack roll, which the chat card would otherwise ask for
+  const attack = activity ?? (item.system?.activities?.size === 1 ? item.system.activities.contents[0] : null);
+  if (result && attack?.rollAttack && (options.advantage || options.disadvantage)) {
+    await attack.rollAttack({ advantage: !!options.advantage, disadvantage: !!options.disadvantage }, { configure: false });
+  }
+  return result;
+};
+
+/**
+ * Get what the hover card of an item or activity shows, from the labels dnd5e prepares.
+ * @param {Item} item the item
+ * @param {Activity|null} activity the activity, when the macro runs one directly
+ * @returns {{properties: Array<{label: string, value: string}>, description: string}} the tooltip data
+ */
+const getTooltipData = (item, activity) => {
+  const labels = activity?.labels ?? item.labels ?? {};
+  const damage = [labels.damage ?? labels.damages ?? []].flat()
+    .map((d) => (typeof d === 'string' ? d : d?.label ?? d?.formula))
+    .filter((d) => d)
+    .join(', ');
+
+  const properties = Object.entries({
+    activation: labels.activation,
+    range: labels.range,
+    target: labels.target,
+    attack: labels.toHit,
+    save: labels.save,
+    damage,
+  })
+    .filter(([, value]) => value && typeof value === 'string')
+    .map(([key, value]) => ({ label: game.i18n.localize(`jay-macros.tooltip.${key}`), value }));
+
+  const description = item.system?.description;
+  return { properties, description: description?.chat || description?.value || '' };
+};
+
+/**
+ * The built-in adapter for the dnd5e system.
+ * @type {import('./adapters.mjs').SystemAdapter}
+ */
+export const DND5E_ADAPTER = {
+  hasActivations: true,
+  watchedPaths: ['system.favorites', 'system.spells'],
+  isUsableItem: (item) => !!item,
+
+  getFavorites: (actor) => {
+    const favorites = actor?.system?.favorites;
+    if (!favorites?.length) return null;
+
+    // Favorites use relative UUIDs
+    const items = Array.from(actor.items?.values() ?? []);
+    return favorites.filter((fav) => fav.type === 'item')
+      .map((fav) => items.find((i) => i.getRelativeUUID(actor) === fav.id))
+      .filter((i) => i);
+  },
+
+  getActivities: (item) => [...(item?.system?.activities?.values() ?? [])],
+  getActivityType,
+
+  getActivationTypes: (item) => {
+    if (!item?.system?.activities?.size) {
+      return new Set(['empty']);
+    }
+    return new Set(item.system.activities.values().map(getActivityType));
+  },
+
+  isSpell: (item) => item?.type === 'spell',
+  getSpellLevel: (item) => Number(item?.system?.level ?? 0),
+  getSpellLevelLabel: (level) => CONFIG.DND5E?.spellLevels?.[level] ?? `${level}`,
+
+  isSpellPrepared: (item) => {
+    const system = item?.system;
+    if (!system) return false;
+    if (!system.level) return true;
+
+    // dnd5e 5.x uses method and prepared, 4.x uses preparation
+    if (system.method !== undefined) {
+      return system.method !== 'spell' || system.prepared > 0;
+    }
+    return system.preparation?.mode !== 'prepared' || !!system.preparation?.prepared;
+  },
+
+  isRitual: (item) => !!item?.system?.properties?.has?.('ritual'),
+  getAvailableSpellSlots,
+  useItem,
+  getResource: getItemResource,
+  getTooltipData,
+};
@@ -0,0 +1,98 @@
+/**
+ * System adapters, which hold everything that depends on the game system.
+ *
+ * @typedef {object} SystemAdapter
+ * @property {string} id the system id
+ * @property {boolean} hasActivations true if items have activations that the activation settings apply to
+ * @property {Array<string>} watchedPaths actor data paths that change which items are placed
+ * @property {function(Item): boolean} isUsableItem check if an item can be placed at all
+ * @property {function(Actor): Array<Item>|null} getFavorites get the favorite items of an actor, or null for all items
+ * @property {function(Item): Array<object>} getActivities get the activities of an item (with id, uuid, name and img)
+ * @property {function(object): string} getActivityType get the activation category of an activity
+ * @property {function(Item): Set<string>} getActivationTypes get every activation category of an item
+ * @property {function(Item): boolean} isSpell check if an item is a spell
+ * @property {function(Item): number} getSpellLevel get the level of a spell (0 for cantrips)
+ * @property {function(number): string} getSpellLevelLabel get the label of a spell level
+ * @property {function(Item): boolean} isSpellPrepared check if a spell is ready to cast
+ * @property {function(Item): boolean} isRitual check if a spell can be cast as a ritual
+ * @property {function(Actor, number): Array<object>} getAvailableSpellSlots get the spell slots left at a level or above
+ * @property {function(Item, object|null, string|null, UseOptions): Promise} useItem use an item, an activity or a spell slot,
+ *   resolving to a falsy value when it was not used
+ * @property {function(Item, object|null, string|null): object|null} getResource get the remaining resource of an item
+ * @property {function(Item, object|null): object} getTooltipData get the properties and description for the hover card
+ */
+
+/**
+ * How an item is used, picked with modifier keys or the hotbar context menu.
+ * Adapters ignore whatever their system does not support.
+ *
+ * @typedef {object} UseOptions
+ * @property {boolean} [fastForward] skip the usage dialog and use the defaults
+ * @property {boolean} [advantage] roll with advantage
+ * @property {boolean} [disadvantage] roll with disadvantage
+ * @property {boolean} [consume] false to use it without consuming resources
+ * @property {boolean} [template] false to use it without placing a template
+ */
+
+const MODULE_ID = 'jay-macros';
+
+// Setting keys
+export const SETTING_GENERIC_ITEM_TYPES = 'genericItemTypes';
+
+/**
+ * Get the item types the generic adapter places, from the comma separated world setting.
+ * @returns {Set<string>} the item types
+ */
+const getGenericItemTypes = () => {
+  const types = `${game.settings.get(MODULE_ID, SETTING_GENERIC_ITEM_TYPES) ?? ''}`;
+  return new Set(types.split(',').map((t) => t.trim()).filter((t) => t));
+};
+
+/**
+ * The fallback adapter for systems without one, which works on item types alone.
+ * @type {SystemAdapter}
+ */
+export const GENERIC_ADAPTER = {
+  id: 'generic',
+  hasActivations: false,
+  watchedPaths: [],
+  isUsableItem: (item) => !!item && getGenericItemTypes().has(item.type),
+  getFavorites: () => null,
+  getActivities: () => [],
+  getActivityType: () => 'none',
+  getActivationTypes: () => new Set(['empty']),
+  isSpell: (item) => item?.type === 'spell',
+  getSpellLevel: (item) => Number(item?.system?.level ?? 0),
+  getSpellLevelLabel: (level) => `${level}`,
+  isSpellPrepared: () => true,
+  isRitual: () => false,
+  getAvailableSpellSlots: () => [],
+  useItem: async (item) => {
+    if (item?.use) return item.use();
+    if (item?.roll) return item.roll();
+    item?.sheet?.render(true);
+    return null;
+  },
+  getResource: () => null,
+  getTooltipData: (item) => {
+    const description = item?.system?.description;
+    return { properties: [], description: (typeof description === 'string' ? description : description?.value) ?? '' };
+  },
+};
+
+const adapters = new Map();
+
+/**
+ * Register the adapter for a system. Missing functions fall back to the generic adapter.
+ * @param {string} systemId the system id
+ * @param {Partial<SystemAdapter>} adapter the adapter
+ */
+export const registerAdapter = (systemId, adapter) => {
+  adapters.set(systemId, { ...GENERIC_ADAPTER, ...adapter, id: systemId });
+};
+
+/**
+ * Get the adapter for the current system.
+ * @returns {SystemAdapter} the adapter
+ */
+export const getAdapter = () => adapters.get(game.system?.id) ?? GENERIC_ADAPTER;
@@ -0,0 +1,64 @@
+const MODULE_ID = 'jay-macros';
+
+export const SETTING_MAX_SLOTS_PER_ACTOR = 'maxSlotsPerActor';
+
+/**
+ * Get the actor an auto macro belongs to. Group macros belong to every actor in the group, so to none.
+ * @param {object} flags the module flags of the macro, or of macro data
+ * @returns {Actor|null} the actor
+ */
+export const getMacroActor = (flags) => {
+  if (flags?.group?.length || !flags?.itemUuid) return null;
+  return fromUuidSync(flags.itemUuid)?.actor ?? null;
+};
+
+/**
+ * Get the name that tells an actor apart from the other selected ones, the token name for unlinked tokens.
+ * @param {Actor} actor the actor
+ * @returns {string} the name
+ */
+export const getActorLabel = (actor) => actor?.token?.name ?? actor?.name ?? '';
+
+/**
+ * Get the image to show for an actor, preferring its token image.
+ * @param {Actor} actor the actor
+ * @returns {string} the image path
+ */
+export const getActorPortrait = (actor) => actor?.token?.texture?.src
+  ?? actor?.prototypeToken?.texture?.src
+  ?? actor?.img;
+
+/**
+ * Share the available slots fairly between the actors the macros belong to.
+ * Every actor gets a slot in turn until the slots run out or the actor reaches the maximum,
+ * and the macros of each actor are kept together, group macros first.
+ * @param {Array<object>} macroData the macro data, in order of priority
+ * @param {number} capacity the number of slots available
+ * @param {number} maxPerActor the most slots one actor may use, 0 for no limit
+ * @returns {Array<object>} the macro data that fits, arranged per actor
+ */
+export const shareSlots = (macroData, capacity, maxPerActor) => {
+  const buckets = new Map([[null, []]]);
+  for (const data of macroData) {
+    const actor = getMacroActor(data.flags[MODULE_ID]);
+    if (!buckets.has(actor)) buckets.set(actor, []);
+    buckets.get(actor).push(data);
+  }
+
+  // A single actor keeps the whole page
+  if (buckets.size <= 2) return macroData;
+
+  const queues = [...buckets.values()].map((list) => list.slice(0, maxPerActor || list.length));
+  const taken = queues.map(() => 0);
+  let remaining = Math.min(capacity, queues.reduce((sum, queue) => sum + queue.length, 0));
+  while (remaining > 0) {
+    for (let i = 0; i < queues.length && remaining > 0; i++) {
+      if (taken[i] < queues[i].length) {
+        taken[i] += 1;
+        remaining -= 1;
+      }
+    }
+  }
+
+  return queues.flatMap((queue, i) => queue.slice(0, taken[i]));
+};
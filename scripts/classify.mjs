@@ -0,0 +1,219 @@
+import { getAdapter } from './adapters.mjs';
+
+/**
+ * Item classification shared by the filter bar and the hotbar population, so the two never disagree.
+ * Everything that depends on the game system is asked of the system adapter.
+ */
+
+const MODULE_ID = 'jay-macros';
+
+// Setting keys
+export const SETTING_ACTIVATION_ACTION = 'action';
+export const SETTING_ACTIVATION_BONUS = 'bonus';
+export const SETTING_ACTIVATION_REACTION = 'reaction';
+export const SETTING_ACTIVATION_SPECIAL = 'special';
+export const SETTING_ACTIVATION_NONE = 'none';
+export const SETTING_ACTIVATION_EMPTY = 'empty';
+
+const ACTION_LOOKUP = new Map([
+  [SETTING_ACTIVATION_ACTION, 'action'],
+  [SETTING_ACTIVATION_BONUS, 'bonus'],
+  [SETTING_ACTIVATION_REACTION, 'reaction'],
+  [SETTING_ACTIVATION_SPECIAL, 'special'],
+  [SETTING_ACTIVATION_NONE, 'none'],
+]);
+
+// Client settings that let a user override the world activation settings.
+export const USER_OVERRIDE_LOOKUP = new Map([
+  [SETTING_ACTIVATION_ACTION, 'userAction'],
+  [SETTING_ACTIVATION_BONUS, 'userBonus'],
+  [SETTING_ACTIVATION_REACTION, 'userReaction'],
+  [SETTING_ACTIVATION_SPECIAL, 'userSpecial'],
+  [SETTING_ACTIVATION_NONE, 'userNone'],
+  [SETTING_ACTIVATION_EMPTY, 'userEmpty'],
+]);
+
+/**
+ * Get the activation type of an activity.
+ * @param {object} activity the activity to check
+ * @returns {string} the activation type (action, bonus, reaction, special, none, ...)
+ */
+export const getActivityActivationType = (activity) => getAdapter().getActivityType(activity);
+
+/**
+ * Get every activation type an item can be used with.
+ * @param {Item} item the item to check
+ * @returns {Set<string>} the activation types of all activities, or just 'empty' if there are none
+ */
+export const getItemActivationTypes = (item) => getAdapter().getActivationTypes(item);
+
+/**
+ * Check if an activation setting is enabled, preferring the user's own choice over the world default.
+ * @param {string} key the world activation setting key
+ * @returns {boolean} true if the activation type is allowed
+ */
+export const isActivationEnabled = (key) => {
+  const override = game.settings.get(MODULE_ID, USER_OVERRIDE_LOOKUP.get(key));
+  if (override === 'include') return true;
+  if (override === 'exclude') return false;
+  return game.settings.get(MODULE_ID, key);
+};
+
+/**
+ * Get the activation types that are currently allowed.
+ * @returns {Array<string>} the allowed activation types
+ */
+export const getAllowedActionTypes = () => {
+  const allowedActions = ACTION_LOOKUP.entries()
+    .filter(([k]) => isActivationEnabled(k))
+    .map(([, v]) => v);
+  return [...allowedActions];
+};
+
+/**
+ * Check if an activity can be used with one of the given activation types.
+ * @param {Activity} activity the activity to check
+ * @param {Array<string>} actionTypes the allowed activation types
+ * @returns {boolean} true if the activity is allowed
+ */
+export const isActivityAllowed = (activity, actionTypes) => {
+  return !!activity && actionTypes.includes(getActivityActivationType(activity));
+};
+
+/**
+ * Get the activation types an item can be used with that the activation settings allow.
+ * Systems without activations keep every type, since the settings do not apply to them.
+ * @param {Item} item the item to check
+ * @returns {Set<string>} the allowed activation types of the item
+ */
+export const getAllowedItemActivationTypes = (item) => {
+  const types = getItemActivationTypes(item);
+  if (!getAdapter().hasActivations) return types;
+
+  const allowed = new Set(getAllowedActionTypes());
+  if (isActivationEnabled(SETTING_ACTIVATION_EMPTY)) allowed.add('empty');
+  return new Set([...types].filter((t) => allowed.has(t)));
+};
+
+/**
+ * Check if an item is a spell.
+ * @param {Item} item the item to check
+ * @returns {boolean} true if the item is a spell
+ */
+export const isSpell = (item) => getAdapter().isSpell(item);
+
+/**
+ * Get the spell sub-filter for a spell level.
+ * @param {number} level the spell level
+ * @returns {string} the sub-filter (cantrip, level1 ... level9)
+ */
+export const getSpellLevelFilter = (level) => (level ? `level${level}` : 'cantrip');
+
+/**
+ * Check if a spell shows up under a spell sub-filter.
+ * @param {Item} item the spell to check
+ * @param {string|null} spellFilter the sub-filter (cantrip, level1 ... level9, prepared, ritual, or null for all)
+ * @returns {boolean} true if the spell matches
+ */
+export const matchesSpellFilter = (item, spellFilter) => {
+  if (!spellFilter) return true;
+  if (!isSpell(item)) return false;
+
+  switch (spellFilter) {
+    case 'prepared':
+      return getAdapter().isSpellPrepared(item);
+    case 'ritual':
+      return getAdapter().isRitual(item);
+    default:
+      return getSpellLevelFilter(getAdapter().getSpellLevel(item)) === spellFilter;
+  }
+};
+
+/**
+ * Check if an item's name matches a pattern.
+ * The pattern is a case insensitive regular expression, or plain text if it isn't a valid one.
+ * @param {Item} item the item to check
+ * @param {string} pattern the name pattern
+ * @returns {boolean} true if the name matches
+ */
+const matchesName = (item, pattern) => {
+  const name = item?.name ?? '';
+  try {
+    return new RegExp(pattern, 'i').test(name);
+  } catch {
+    return name.toLowerCase().includes(pattern.toLowerCase());
+  }
+};
+
+/**
+ * Check if an item has a flag, written as `scope.key` or `scope.key=value`.
+ * Array flags (like tags) match when they contain the value.
+ * @param {Item} item the item to check
+ * @param {string} flag the flag rule
+ * @returns {boolean} true if the flag matches
+ */
+const matchesFlag = (item, flag) => {
+  const [path, value] = flag.split('=').map((s) => s.trim());
+  const actual = foundry.utils.getProperty(item?.flags ?? {}, path);
+  if (value === undefined) return !!actual;
+  if (Array.isArray(actual)) return actual.map(String).includes(value);
+  return String(actual ?? '') === value;
+};
+
+/**
+ * Check if a filter only picks spells, in which case the spell sub-filters apply.
+ * @param {object|null} filter the filter definition
+ * @returns {boolean} true if it is a spell filter
+ */
+export const isSpellFilter = (filter) => {
+  const types = filter?.rules?.types ?? [];
+  return types.length === 1 && types[0] === 'spell';
+};
+
+/**
+ * Check if an item shows up under a filter.
+ * Every rule that is set has to match; a rule with several values matches any of them.
+ * @param {Item} item the item to check
+ * @param {object|null} filter the filter definition, or null for all
+ * @returns {boolean} true if the item matches
+ */
+export const matchesFilter = (item, filter) => {
+  if (!filter) return true;
+
+  const { types = [], activation = [], properties = [], name = '', flag = '' } = filter.rules ?? {};
+  if (types.length && !types.includes(item?.type)) return false;
+  if (activation.length) {
+    const itemTypes = getAllowedItemActivationTypes(item);
+    if (!activation.some((a) => itemTypes.has(a))) return false;
+  }
+  if (properties.length && !properties.some((p) => item?.system?.properties?.has?.(p))) return false;
+  if (name && !matchesName(item, name)) return false;
+  if (flag && !matchesFlag(item, flag)) return false;
+  return true;
+};
+
+/**
+ * Check if an activity shows up under a filter.
+ * Activities only get narrowed down by the activation rule, other rules keep them all.
+ * @param {Activity} activity the activity to check
+ * @param {object|null} filter the filter definition, or null for all
+ * @returns {boolean} true if the activity matches
+ */
+export const activityMatchesFilter = (activity, filter) => {
+  const activation = filter?.rules?.activation ?? [];
+  return !activation.length || activation.includes(getActivityActivationType(activity));
+};
+
+/**
+ * Filter items based on a filter.
+ * @param {Array} items the items to filter
+ * @param {object|null} filter the filter definition, or null for all
+ * @param {string|null} [spellFilter] the spell sub-filter, only used with a spell filter
+ * @returns {Array} the filtered items
+ */
+export const filterItemsByType = (items, filter, spellFilter = null) => {
+  if (!filter) return items;
+
+  const subFilter = isSpellFilter(filter) ? spellFilter : null;
+  return items.filter((item) => matchesFilter(item, filter) && matchesSpellFilter(item, subFilter));
+};
@@ -0,0 +1,53 @@
+import { cleanupMacros, findOrphanedMacros } from './cleanup.mjs';
+
+const MODULE_ID = 'jay-macros';
+
+/**
+ * Window that lists the auto macros no hotbar uses anymore and lets the GM delete them.
+ */
+export class CleanupApplication extends foundry.applications.api.HandlebarsApplicationMixin(
+  foundry.applications.api.ApplicationV2,
+) {
+  static DEFAULT_OPTIONS = {
+    id: 'jay-macros-cleanup',
+    tag: 'div',
+    window: {
+      title: 'jay-macros.cleanup.title',
+      icon: 'fas fa-broom',
+    },
+    position: {
+      width: 400,
+    },
+    classes: ['jay-macros-cleanup'],
+    actions: {
+      cleanup: CleanupApplication.#onCleanup,
+    },
+  };
+
+  static PARTS = {
+    cleanup: {
+      template: 'modules/jay-macros/templates/cleanup.hbs',
+    },
+  };
+
+  /**
+   * The number of macros deleted by the last cleanup.
+   * @type {number|null}
+   */
+  deleted = null;
+
+  async _prepareContext() {
+    const orphans = findOrphanedMacros();
+    return {
+      count: orphans.length,
+      names: [...new Set(orphans.map((m) => m.name))].sort().join(', '),
+      deleted: this.deleted,
+    };
+  }
+
+  static async #onCleanup() {
+    this.deleted = await cleanupMacros();
+    ui.notifications.info(game.i18n.format(`${MODULE_ID}.cleanup.deleted`, { count: this.deleted }));
+    this.render();
+  }
+}
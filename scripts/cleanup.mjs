@@ -0,0 +1,62 @@
+import { isAutoMacro } from './reconcile.mjs';
+import { log } from './utils.mjs';
+
+const MODULE_ID = 'jay-macros';
+
+export const SETTING_CLEANUP_ON_READY = 'cleanupOnReady';
+
+// Macros younger than this may still be on their way to a hotbar
+const GRACE_PERIOD = 60 * 1000;
+
+/**
+ * Get the macro folder that holds the auto macros.
+ * @returns {Folder|null} the folder, if it was created
+ */
+export const getMacroFolder = () => game.folders
+  .find((f) => f.type === 'Macro' && f.getFlag(MODULE_ID, 'autoFolder')) ?? null;
+
+/**
+ * Create the macro folder for the auto macros if it does not exist yet.
+ * Only a GM can create it, everybody else uses it once it exists.
+ * @returns {Promise<Folder|null>} the folder
+ */
+export const ensureMacroFolder = async () => {
+  const folder = getMacroFolder();
+  if (folder || !game.user.isGM) return folder;
+
+  log('Creating the auto macro folder');
+  return Folder.create({
+    name: game.i18n.localize(`${MODULE_ID}.cleanup.folderName`),
+    type: 'Macro',
+    sorting: 'a',
+    flags: { [MODULE_ID]: { autoFolder: true } },
+  });
+};
+
+/**
+ * Find the auto macros that are not on any user's hotbar.
+ * Macros that were only just created are left alone, they may still be placed.
+ * @returns {Array<Macro>} the orphaned auto macros
+ */
+export const findOrphanedMacros = () => {
+  const referenced = new Set(game.users.contents.flatMap((u) => Object.values(u.hotbar ?? {})));
+  const cutoff = Date.now() - GRACE_PERIOD;
+  return game.macros.filter((m) => isAutoMacro(m)
+    && !referenced.has(m.id)
+    && (m._stats?.createdTime ?? 0) < cutoff);
+};
+
+/**
+ * Delete every auto macro that is not on any user's hotbar.
+ * @returns {Promise<number>} the number of deleted macros
+ */
+export const cleanupMacros = async () => {
+  if (!game.user.isGM) return 0;
+
+  const orphans = findOrphanedMacros();
+  if (!orphans.length) return 0;
+
+  log(`Deleting ${orphans.length} orphaned auto macro(s)`);
+  await Macro.deleteDocuments(orphans.map((m) => m.id));
+  return orphans.length;
+};
@@ -1,15 +1,33 @@
+import { filterItemsByType, getSpellLevelFilter, isSpell, isSpellFilter } from './classify.mjs';
+import { ALL_FILTER, getFilter, getFilterDefinitions } from './filters.mjs';
+import { getAdapter } from './adapters.mjs';
+import { getActorLabel } from './attribution.mjs';
+import { log } from './utils.mjs';
+
 const MODULE_ID = 'jay-macros';
 
+export const SETTING_FILTER_BAR = 'filterBar';
+
+// The filter bar state when nothing was saved yet, a missing position sits it on top of the hotbar
+export const DEFAULT_FILTER_BAR = { left: null, top: null, collapsed: false, vertical: false, hidden: false };
+
+// Space kept between the filter bar and the hotbar or the edge of the window
+const MARGIN = 4;
+
 /**
  * Application for the filter UI buttons (V2Application with Handlebars)
  */
 export class FilterApplication extends foundry.applications.api.HandlebarsApplicationMixin(
-  foundry.applications.api.ApplicationV2
+  foundry.applications.api.ApplicationV2,
 ) {
   constructor(options = {}) {
     super(options);
     this.collectedItems = [];
     this.currentFilter = null;
+    this.currentSpellFilter = null;
+    this.defaultFilter = null;
+    this.barState = { ...DEFAULT_FILTER_BAR, ...game.settings.get(MODULE_ID, SETTING_FILTER_BAR) };
+    this._onWindowResize = foundry.utils.debounce(this._applyPosition.bind(this), 50);
     console.log(`${MODULE_ID} | FilterApplication constructor called`);
   }
 
@@ -22,67 +40,141 @@ export class FilterApplication extends foundry.applications.api.HandlebarsApplic
     },
     position: {},
     classes: ['jay-macros-filter-container'],
+    actions: {
+      toggleCollapsed: FilterApplication.#onToggleCollapsed,
+      toggleOrientation: FilterApplication.#onToggleOrientation,
+    },
   };
 
   static PARTS = {
     buttons: {
       template: 'modules/jay-macros/templates/filter-buttons.hbs',
-    }
+    },
   };
 
+  /**
+   * True if the filter bar was hidden with its keybinding.
+   * @type {boolean}
+   */
+  get hidden() {
+    return this.barState.hidden;
+  }
+
+  _onFirstRender(context, options) {
+    super._onFirstRender(context, options);
+    window.addEventListener('resize', this._onWindowResize);
+
+    // Follow the hotbar when it is collapsed or changes size
+    const hotbar = document.getElementById('hotbar');
+    if (hotbar) {
+      this._hotbarObserver = new ResizeObserver(this._onWindowResize);
+      this._hotbarObserver.observe(hotbar);
+    }
+  }
+
+  _onClose(options) {
+    super._onClose(options);
+    window.removeEventListener('resize', this._onWindowResize);
+    this._hotbarObserver?.disconnect();
+  }
+
   _onRender(context, options) {
     super._onRender(context, options);
+    this.element.classList.toggle('jay-macros-hidden', this.hidden);
+    this.element.classList.toggle('jay-macros-collapsed', this.barState.collapsed);
+    this.element.classList.toggle('jay-macros-vertical', this.barState.vertical);
+
+    const handle = this.element.querySelector('.jay-macros-filter-handle');
+    handle?.addEventListener('pointerdown', this._onDragStart.bind(this));
+    handle?.addEventListener('dblclick', () => this._saveState({ left: null, top: null }));
+    this._applyPosition();
     console.log(`${MODULE_ID} | FilterApplication rendered, element:`, this.element);
     console.log(`${MODULE_ID} | Element classes:`, this.element?.className);
     console.log(`${MODULE_ID} | Element style:`, this.element?.style.cssText);
   }
 
-  async _prepareContext(options) {
+  async _prepareContext() {
     console.log(`${MODULE_ID} | FilterApplication _prepareContext called, collectedItems:`, this.collectedItems.length);
 
-    const filters = [
-      { id: null, label: 'All', icon: 'fas fa-list' },
-      { id: 'action', label: 'Actions', icon: 'fas fa-fist-raised' },
-      { id: 'bonus', label: 'Bonus', icon: 'fas fa-bolt' },
-      { id: 'reaction', label: 'Reactions', icon: 'fas fa-shield-alt' },
-      { id: 'spell', label: 'Spells', icon: 'fas fa-magic' },
-    ];
+    const filters = [ALL_FILTER, ...getFilterDefinitions()];
 
-    const buttons = filters.map(filter => {
+    const buttons = filters.map((filter) => {
       const filteredItems = this._filterItems(filter.id);
       const count = filteredItems.length;
       return {
         ...filter,
         filterId: filter.id ?? 'all',
         count,
+        breakdown: this._getActorBreakdown(filteredItems),
         isActive: this.currentFilter === filter.id,
-        isDisabled: count === 0
+        isDefault: !!filter.id && this.defaultFilter === filter.id,
+        isDisabled: count === 0,
       };
     });
 
     const context = {
       buttons,
-      hasItems: this.collectedItems.length > 0
+      spellButtons: isSpellFilter(getFilter(this.currentFilter)) ? this._prepareSpellButtons() : [],
+      hasItems: this.collectedItems.length > 0,
+      collapsed: this.barState.collapsed,
+      vertical: this.barState.vertical,
     };
 
     console.log(`${MODULE_ID} | FilterApplication _prepareContext returning:`, context);
     return context;
   }
 
-  _filterItems(filter) {
-    if (!filter) return this.collectedItems;
+  /**
+   * Prepare the secondary row of spell sub-filter buttons.
+   * Only the spell levels the actor actually has are shown.
+   * @returns {Array<object>} the spell filter buttons
+   */
+  _prepareSpellButtons() {
+    const spells = this.collectedItems.filter(isSpell);
+    const adapter = getAdapter();
+    const levels = [...new Set(spells.map(adapter.getSpellLevel))].sort((a, b) => a - b);
 
-    if (filter === 'spell') {
-      return this.collectedItems.filter(item => item?.type === 'spell');
-    }
+    const filters = [
+      ...levels.map((level) => ({
+        id: getSpellLevelFilter(level),
+        label: adapter.getSpellLevelLabel(level),
+      })),
+      { id: 'prepared', label: game.i18n.localize(`${MODULE_ID}.filters.prepared`) },
+      { id: 'ritual', label: game.i18n.localize(`${MODULE_ID}.filters.ritual`) },
+    ];
 
-    return this.collectedItems.filter(item => {
-      if (!item?.system?.activities?.size) return false;
-      const firstActivity = item.system.activities.values().next().value;
-      return firstActivity?.activation?.type === filter;
+    return filters.map((filter) => {
+      const count = this._filterItems(this.currentFilter, filter.id).length;
+      return {
+        ...filter,
+        count,
+        isActive: this.currentSpellFilter === filter.id,
+        isDisabled: count === 0,
+      };
     });
   }
 
+  /**
+   * Break a filter count down by the actor the items belong to, when items of several actors were collected.
+   * @param {Array<Item>} items the items that match a filter
+   * @returns {string|null} the count per actor, e.g. "Goblin: 3, Wizard: 5"
+   */
+  _getActorBreakdown(items) {
+    const actors = new Set(this.collectedItems.map((i) => i.actor));
+    if (actors.size < 2) return null;
+
+    const counts = new Map();
+    for (const item of items) {
+      const label = getActorLabel(item.actor);
+      counts.set(label, (counts.get(label) ?? 0) + 1);
+    }
+    return [...counts].map(([label, count]) => `${label}: ${count}`).join(', ') || null;
+  }
+
+  _filterItems(filterId, spellFilter = null) {
+    return filterItemsByType(this.collectedItems, getFilter(filterId), spellFilter);
+  }
+
   _attachPartListeners(partId, htmlElement, options) {
     super._attachPartListeners(partId, htmlElement, options);
 
@@ -103,6 +195,12 @@ export class FilterApplication extends foundry.applications.api.HandlebarsApplic
           console.log(`${MODULE_ID} | BUTTON ${index} CLICKED!`);
         });
       });
+
+      buttons.forEach((button) => button.addEventListener('contextmenu', this._onFilterContextMenu.bind(this)));
+
+      htmlElement.querySelectorAll('.jay-macros-spell-filter-button').forEach((button) => {
+        button.addEventListener('click', this._onSpellFilterClick.bind(this));
+      });
     }
   }
 
@@ -117,26 +215,148 @@ export class FilterApplication extends foundry.applications.api.HandlebarsApplic
     console.log(`${MODULE_ID} | Filter button clicked: ${filter ?? 'all'}`);
 
     this.currentFilter = filter;
+    this.currentSpellFilter = null;
 
     // Trigger the filter change callback if provided
     if (this.options.onFilterChange) {
       console.log(`${MODULE_ID} | Calling onFilterChange callback`);
-      await this.options.onFilterChange(filter);
+      await this.options.onFilterChange(filter, null);
     }
 
     // Re-render to update active states
     this.render();
   }
 
+  async _onFilterContextMenu(event) {
+    event.preventDefault();
+    event.stopPropagation();
+
+    // Right-click makes a filter the default of the selected actor
+    const filterValue = event.currentTarget.dataset.filter;
+    if (this.options.onDefaultFilterChange) {
+      await this.options.onDefaultFilterChange(filterValue === 'all' ? null : filterValue);
+    }
+  }
+
+  async _onSpellFilterClick(event) {
+    event.preventDefault();
+    event.stopPropagation();
+
+    // Clicking the active sub-filter again turns it off
+    const spellFilter = event.currentTarget.dataset.spellFilter;
+    this.currentSpellFilter = this.currentSpellFilter === spellFilter ? null : spellFilter;
+
+    log(`Spell filter button clicked: ${this.currentSpellFilter ?? 'all'}`);
+
+    if (this.options.onFilterChange) {
+      await this.options.onFilterChange(this.currentFilter, this.currentSpellFilter);
+    }
+
+    this.render();
+  }
+
   updateItems(items) {
     console.log(`${MODULE_ID} | FilterApplication updateItems called with ${items.length} items`);
     this.collectedItems = items;
     this.render();
   }
 
-  setFilter(filter) {
+  /**
+   * Show or hide the filter bar, without losing the active filter.
+   * @param {boolean} [hidden] true to hide it, toggles when left out
+   */
+  toggle(hidden = !this.hidden) {
+    this._saveState({ hidden });
+    this.element?.classList.toggle('jay-macros-hidden', hidden);
+  }
+
+  /**
+   * Move the filter bar to its saved position, or on top of the hotbar if it was never moved,
+   * and keep it inside the window.
+   */
+  _applyPosition() {
+    const element = this.element;
+    if (!element) return;
+
+    let { left, top } = this.barState;
+    if (left === null || top === null) {
+      const hotbar = document.getElementById('hotbar')?.getBoundingClientRect();
+      left = hotbar?.left ?? MARGIN;
+      top = (hotbar?.top ?? window.innerHeight) - element.offsetHeight - MARGIN;
+    }
+
+    left = Math.clamp(left, 0, Math.max(window.innerWidth - element.offsetWidth, 0));
+    top = Math.clamp(top, 0, Math.max(window.innerHeight - element.offsetHeight, 0));
+    element.style.left = `${left}px`;
+    element.style.top = `${top}px`;
+    element.style.maxWidth = `${window.innerWidth - left - MARGIN}px`;
+    element.style.maxHeight = `${window.innerHeight - top - MARGIN}px`;
+    this.options.onMove?.();
+  }
+
+  /**
+   * Drag the filter bar around by its handle, and save where it was dropped.
+   * @param {PointerEvent} event the pointer event on the handle
+   */
+  _onDragStart(event) {
+    event.preventDefault();
+    const handle = event.currentTarget;
+    const rect = this.element.getBoundingClientRect();
+    const offsetX = event.clientX - rect.left;
+    const offsetY = event.clientY - rect.top;
+
+    const onMove = (e) => {
+      this.element.style.left = `${e.clientX - offsetX}px`;
+      this.element.style.top = `${e.clientY - offsetY}px`;
+      this.options.onMove?.();
+    };
+    const onUp = (e) => {
+      handle.removeEventListener('pointermove', onMove);
+      handle.removeEventListener('pointerup', onUp);
+      handle.releasePointerCapture(e.pointerId);
+      this._saveState({ left: e.clientX - offsetX, top: e.clientY - offsetY });
+    };
+
+    handle.setPointerCapture(event.pointerId);
+    handle.addEventListener('pointermove', onMove);
+    handle.addEventListener('pointerup', onUp);
+  }
+
+  /**
+   * Change the filter bar state, save it for this client and move the bar to match.
+   * @param {object} changes the changed state
+   */
+  _saveState(changes) {
+    this.barState = { ...this.barState, ...changes };
+    game.settings.set(MODULE_ID, SETTING_FILTER_BAR, this.barState)
+      .catch((err) => log('Could not save the filter bar state', err));
+    this._applyPosition();
+  }
+
+  static #onToggleCollapsed() {
+    this._saveState({ collapsed: !this.barState.collapsed });
+    this.render();
+  }
+
+  static #onToggleOrientation() {
+    this._saveState({ vertical: !this.barState.vertical });
+    this.render();
+  }
+
+  /**
+   * Mark the filter the selected actor starts out on.
+   * @param {string|null} filter the default filter id, or null for none
+   */
+  setDefaultFilter(filter) {
+    if (this.defaultFilter === filter) return;
+    this.defaultFilter = filter;
+    this.render();
+  }
+
+  setFilter(filter, spellFilter = null) {
     console.log(`${MODULE_ID} | FilterApplication setFilter called: ${filter ?? 'all'}`);
     this.currentFilter = filter;
+    this.currentSpellFilter = spellFilter;
     this.render();
   }
 }
@@ -0,0 +1,130 @@
+import {
+  DEFAULT_FILTERS,
+  SETTING_FILTERS,
+  SETTING_USER_FILTERS,
+  getUserFilters,
+  getWorldFilters,
+  normalizeFilter,
+} from './filters.mjs';
+
+const MODULE_ID = 'jay-macros';
+
+/**
+ * Turn the indexed form data of a filter list back into an array.
+ * @param {object} data the expanded form data, keyed by index
+ * @returns {Array<object>} the filter definitions
+ */
+const toFilterList = (data) => {
+  return Object.entries(data ?? {})
+    .sort(([a], [b]) => Number(a) - Number(b))
+    .map(([, filter]) => normalizeFilter(filter));
+};
+
+/**
+ * Settings menu where the GM defines the world filters, and every user their own.
+ */
+export class FilterConfigApplication extends foundry.applications.api.HandlebarsApplicationMixin(
+  foundry.applications.api.ApplicationV2,
+) {
+  constructor(options = {}) {
+    super(options);
+    this.filters = {
+      world: foundry.utils.deepClone(getWorldFilters()),
+      user: foundry.utils.deepClone(getUserFilters()),
+    };
+  }
+
+  static DEFAULT_OPTIONS = {
+    id: 'jay-macros-filter-config',
+    tag: 'form',
+    window: {
+      title: 'jay-macros.filterConfig.title',
+      icon: 'fas fa-filter',
+      resizable: true,
+    },
+    position: {
+      width: 900,
+      height: 'auto',
+    },
+    classes: ['jay-macros-filter-config'],
+    form: {
+      handler: FilterConfigApplication.#onSubmit,
+      closeOnSubmit: true,
+    },
+    actions: {
+      addFilter: FilterConfigApplication.#onAddFilter,
+      deleteFilter: FilterConfigApplication.#onDeleteFilter,
+      resetFilters: FilterConfigApplication.#onResetFilters,
+    },
+  };
+
+  static PARTS = {
+    form: {
+      template: 'modules/jay-macros/templates/filter-config.hbs',
+    },
+  };
+
+  async _prepareContext() {
+    const toRows = (filters) => filters.map((f) => ({
+      ...f,
+      types: f.rules.types.join(', '),
+      activation: f.rules.activation.join(', '),
+      properties: f.rules.properties.join(', '),
+      name: f.rules.name,
+      flag: f.rules.flag,
+    }));
+
+    const sections = [
+      {
+        scope: 'user',
+        label: game.i18n.localize(`${MODULE_ID}.filterConfig.user`),
+        filters: toRows(this.filters.user),
+      },
+    ];
+    if (game.user.isGM) {
+      sections.unshift({
+        scope: 'world',
+        label: game.i18n.localize(`${MODULE_ID}.filterConfig.world`),
+        filters: toRows(this.filters.world),
+        canReset: true,
+      });
+    }
+
+    return { sections };
+  }
+
+  /**
+   * Read the current form values back into the filter lists, so nothing typed is lost on re-render.
+   */
+  _readForm() {
+    const data = foundry.utils.expandObject(Object.fromEntries(new FormData(this.element)));
+    if (game.user.isGM) this.filters.world = toFilterList(data.world);
+    this.filters.user = toFilterList(data.user);
+  }
+
+  static async #onAddFilter(event, target) {
+    this._readForm();
+    this.filters[target.dataset.scope].push(normalizeFilter({}));
+    this.render();
+  }
+
+  static async #onDeleteFilter(event, target) {
+    this._readForm();
+    this.filters[target.dataset.scope].splice(Number(target.dataset.index), 1);
+    this.render();
+  }
+
+  static async #onResetFilters() {
+    this._readForm();
+    this.filters.world = foundry.utils.deepClone(DEFAULT_FILTERS).map(normalizeFilter);
+    this.render();
+  }
+
+  static async #onSubmit() {
+    this._readForm();
+    if (game.user.isGM) {
+      await game.settings.set(MODULE_ID, SETTING_FILTERS, { filters: this.filters.world });
+    }
+    await game.settings.set(MODULE_ID, SETTING_USER_FILTERS, { filters: this.filters.user });
+  }
+}
@@ -0,0 +1,57 @@
+const MODULE_ID = 'jay-macros';
+
+// Number of actors whose last filter is remembered for a user
+const MAX_REMEMBERED = 50;
+
+/**
+ * Get the last filters of the current user.
+ * They are stored as a list, since actor UUIDs contain dots that flags would expand.
+ * @returns {Array<{actor: string, filter: string|null, spellFilter: string|null}>} the remembered filters
+ */
+const getRememberedFilters = () => game.user.getFlag(MODULE_ID, 'actorFilters') ?? [];
+
+/**
+ * Get the filter the current user last used for an actor.
+ * @param {Actor} actor the actor
+ * @returns {{filter: string|null, spellFilter: string|null}|null} the filter, if one was remembered
+ */
+export const getRememberedFilter = (actor) => {
+  const entry = getRememberedFilters().find((e) => e.actor === actor?.uuid);
+  return entry ? { filter: entry.filter ?? null, spellFilter: entry.spellFilter ?? null } : null;
+};
+
+/**
+ * Remember the filter the current user picked for an actor. The most recent actors are kept.
+ * @param {Actor} actor the actor
+ * @param {string|null} filter the filter id, or null for all
+ * @param {string|null} spellFilter the spell sub-filter
+ * @returns {Promise} resolves when the user was updated
+ */
+export const rememberFilter = async (actor, filter, spellFilter) => {
+  if (!actor) return;
+
+  const current = getRememberedFilter(actor);
+  if (current?.filter === filter && current?.spellFilter === spellFilter) return;
+
+  const entries = getRememberedFilters().filter((e) => e.actor !== actor.uuid);
+  entries.unshift({ actor: actor.uuid, filter, spellFilter });
+  await game.user.setFlag(MODULE_ID, 'actorFilters', entries.slice(0, MAX_REMEMBERED));
+};
+
+/**
+ * Get the filter an actor starts out on.
+ * @param {Actor} actor the actor
+ * @returns {string|null} the filter id, or null if none was set
+ */
+export const getDefaultFilter = (actor) => actor?.getFlag(MODULE_ID, 'defaultFilter') ?? null;
+
+/**
+ * Set the filter an actor starts out on, for every user that has no filter of their own for it.
+ * @param {Actor} actor the actor
+ * @param {string|null} filter the filter id, or null to clear it
+ * @returns {Promise} resolves when the actor was updated
+ */
+export const setDefaultFilter = async (actor, filter) => {
+  if (!filter) await actor.unsetFlag(MODULE_ID, 'defaultFilter');
+  else await actor.setFlag(MODULE_ID, 'defaultFilter', filter);
+};
@@ -0,0 +1,80 @@
+const MODULE_ID = 'jay-macros';
+
+// Setting keys
+export const SETTING_FILTERS = 'filterDefinitions';
+export const SETTING_USER_FILTERS = 'userFilterDefinitions';
+
+/**
+ * The filter that shows everything. It is always first and can't be edited.
+ */
+export const ALL_FILTER = { id: null, label: 'All', icon: 'fas fa-list' };
+
+/**
+ * The filters a world starts out with.
+ */
+export const DEFAULT_FILTERS = [
+  { id: 'action', label: 'Actions', icon: 'fas fa-fist-raised', rules: { activation: ['action'] } },
+  { id: 'bonus', label: 'Bonus', icon: 'fas fa-bolt', rules: { activation: ['bonus'] } },
+  { id: 'reaction', label: 'Reactions', icon: 'fas fa-shield-alt', rules: { activation: ['reaction'] } },
+  { id: 'spell', label: 'Spells', icon: 'fas fa-magic', rules: { types: ['spell'] } },
+];
+
+/**
+ * Split a comma separated list.
+ * @param {string|Array<string>} value the list
+ * @returns {Array<string>} the trimmed, non-empty values
+ */
+const splitList = (value) => {
+  const values = Array.isArray(value) ? value : `${value ?? ''}`.split(',');
+  return values.map((v) => `${v}`.trim()).filter((v) => v);
+};
+
+/**
+ * Clean up a filter definition, e.g. one that was entered in a form or imported.
+ * @param {object} data the raw filter definition
+ * @returns {object} the filter definition
+ */
+export const normalizeFilter = (data) => {
+  const rules = data.rules ?? {};
+  return {
+    id: data.id || foundry.utils.randomID(),
+    label: `${data.label ?? ''}`.trim() || 'Filter',
+    icon: `${data.icon ?? ''}`.trim() || 'fas fa-filter',
+    rules: {
+      types: splitList(rules.types),
+      activation: splitList(rules.activation),
+      properties: splitList(rules.properties),
+      name: `${rules.name ?? ''}`.trim(),
+      flag: `${rules.flag ?? ''}`.trim(),
+    },
+  };
+};
+
+/**
+ * Get the filters defined by the GM for the world.
+ * A world that never saved its filters still holds the defaults, so every rule is filled in.
+ * @returns {Array<object>} the world filter definitions
+ */
+export const getWorldFilters = () => (game.settings.get(MODULE_ID, SETTING_FILTERS)?.filters ?? []).map(normalizeFilter);
+
+/**
+ * Get the filters defined by the user on this client.
+ * @returns {Array<object>} the user filter definitions
+ */
+export const getUserFilters = () => (game.settings.get(MODULE_ID, SETTING_USER_FILTERS)?.filters ?? []).map(normalizeFilter);
+
+/**
+ * Get every filter definition, world filters first.
+ * @returns {Array<object>} the filter definitions
+ */
+export const getFilterDefinitions = () => [...getWorldFilters(), ...getUserFilters()];
+
+/**
+ * Find a filter definition by id.
+ * @param {string|null} id the filter id
+ * @returns {object|null} the filter definition, or null for all
+ */
+export const getFilter = (id) => {
+  if (!id) return null;
+  return getFilterDefinitions().find((f) => f.id === id) ?? null;
+};
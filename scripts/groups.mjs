@@ -0,0 +1,91 @@
+import { getPortableKey } from './presets.mjs';
+import { getUseCommand } from './roll-options.mjs';
+import { log } from './utils.mjs';
+
+const MODULE_ID = 'jay-macros';
+
+export const SETTING_GROUP_ITEMS = 'groupItems';
+export const SETTING_GROUP_RETARGET = 'groupRetarget';
+
+/**
+ * Turn the macro data of the first item of a group into the macro data of the whole group.
+ * The key stays the one of the first item, so pins and presets keep working.
+ * @param {object} data the macro data of the first item
+ * @param {Array<string>} itemUuids the uuids of every item in the group
+ * @returns {object} the macro data of the group
+ */
+const createGroupMacroData = (data, itemUuids) => {
+  const flags = data.flags[MODULE_ID];
+  return {
+    ...data,
+    command: getUseCommand(itemUuids, flags.activityId ?? null, flags.slot ?? null),
+    flags: { [MODULE_ID]: { ...flags, group: itemUuids } },
+  };
+};
+
+/**
+ * Merge the macro data of identical items of different actors into one macro per group,
+ * in the place of the first item. Items count as identical when their type, name, activity and
+ * spell slot match, like the slots of a layout preset.
+ * @param {Array<object>} macroData the macro data
+ * @returns {Array<object>} the grouped macro data
+ */
+export const groupMacroData = (macroData) => {
+  const groups = new Map();
+  const entries = [];
+  for (const data of macroData) {
+    const flags = data.flags[MODULE_ID];
+    const actor = fromUuidSync(flags.itemUuid)?.actor ?? null;
+    const portableKey = actor ? getPortableKey(flags) : null;
+
+    // An actor with two identical items keeps the second one apart
+    const group = portableKey ? groups.get(portableKey) : null;
+    if (group && !group.actors.has(actor)) {
+      group.actors.add(actor);
+      group.itemUuids.push(flags.itemUuid);
+      continue;
+    }
+
+    const entry = { data, itemUuids: [flags.itemUuid], actors: new Set([actor]) };
+    if (portableKey && !group) groups.set(portableKey, entry);
+    entries.push(entry);
+  }
+
+  return entries.map(({ data, itemUuids }) => (itemUuids.length > 1 ? createGroupMacroData(data, itemUuids) : data));
+};
+
+/**
+ * Get the uuids of the items a macro uses, one for a normal macro and several for a group.
+ * @param {object} flags the module flags of the macro, or of macro data
+ * @returns {Array<string>} the item uuids
+ */
+export const getGroupItemUuids = (flags) => flags?.group ?? (flags?.itemUuid ? [flags.itemUuid] : []);
+
+/**
+ * Ask for the target of the next token of a group, so each token can use its item against its own target.
+ * The token is pinged, and the dialog stays open while the user targets on the canvas.
+ * @param {Item} item the item that is about to be used
+ * @returns {Promise<string|null>} 'use', 'skip', or null when the rest of the group was cancelled
+ */
+export const promptGroupTarget = async (item) => {
+  if (!game.settings.get(MODULE_ID, SETTING_GROUP_RETARGET)) return 'use';
+
+  const actor = item.actor;
+  const token = canvas.tokens?.controlled.find((t) => t.actor === actor) ?? actor?.getActiveTokens()[0];
+  if (token) canvas.ping(token.center).catch((err) => log('Could not ping the token', err));
+
+  const content = document.createElement('p');
+  content.textContent = game.i18n.format(`${MODULE_ID}.groupTarget.content`, {
+    name: token?.name ?? actor?.name ?? '',
+    item: item.name,
+  });
+  return foundry.applications.api.DialogV2.wait({
+    window: { title: `${MODULE_ID}.groupTarget.title` },
+    content: content.outerHTML,
+    buttons: [
+      { action: 'use', label: `${MODULE_ID}.groupTarget.use`, icon: 'fas fa-check', default: true },
+      { action: 'skip', label: `${MODULE_ID}.groupTarget.skip`, icon: 'fas fa-forward' },
+    ],
+    rejectClose: false,
+  });
+};
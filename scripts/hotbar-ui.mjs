@@ -0,0 +1,157 @@
+import { isAutoMacro } from './reconcile.mjs';
+import { getAdapter } from './adapters.mjs';
+import { getTooltipHtml, setTooltip } from './tooltips.mjs';
+import { getGroupItemUuids } from './groups.mjs';
+import { getActorLabel, getActorPortrait, getMacroActor } from './attribution.mjs';
+import { getActionEconomyMode, isSpent } from './action-economy.mjs';
+import { log } from './utils.mjs';
+
+const MODULE_ID = 'jay-macros';
+
+// Batch hotbar renders when several documents change at once.
+const renderHotbar = foundry.utils.debounce(() => ui.hotbar?.render(), 50);
+
+/**
+ * Get the item (and activity) that the module flags of a macro, or of macro data, point to.
+ * @param {object} flags the module flags
+ * @returns {{item: Item|null, activity: Activity|null}} the source of the macro
+ */
+export const getMacroSource = (flags) => {
+  const { itemUuid, activityId } = flags ?? {};
+  const item = itemUuid ? fromUuidSync(itemUuid) : null;
+  const activity = (activityId && item && getAdapter().getActivities(item).find((a) => a.id === activityId)) || null;
+  return { item, activity };
+};
+
+/**
+ * Get the item (and activity) an auto macro runs.
+ * @param {Macro} macro the auto macro
+ * @returns {{item: Item|null, activity: Activity|null}} the source of the macro
+ */
+export const getAutoMacroSource = (macro) => getMacroSource(macro.flags[MODULE_ID]);
+
+/**
+ * Check if an auto macro runs something owned by an actor.
+ * @param {Macro} macro the auto macro
+ * @param {Actor} actor the actor to check
+ * @returns {boolean} true if the macro belongs to the actor
+ */
+export const isMacroForActor = (macro, actor) => {
+  return getGroupItemUuids(macro.flags[MODULE_ID]).some((uuid) => uuid.startsWith(`${actor.uuid}.`));
+};
+
+/**
+ * Show the remaining resources of an auto macro on its hotbar slot, and dim it if it can't be used.
+ * @param {HTMLElement} slot the hotbar slot element
+ * @param {Macro} macro the auto macro in the slot
+ */
+const decorateResources = (slot, macro) => {
+  const { item, activity } = getAutoMacroSource(macro);
+  const resource = getAdapter().getResource(item, activity, macro.getFlag(MODULE_ID, 'slot') ?? null);
+  if (!resource) return;
+
+  const badge = document.createElement('span');
+  badge.classList.add('jay-macros-badge');
+  badge.textContent = resource.label;
+  slot.append(badge);
+  slot.classList.toggle('jay-macros-unavailable', !resource.available);
+};
+
+/**
+ * Show how many identical items a group macro uses.
+ * @param {HTMLElement} slot the hotbar slot element
+ * @param {Macro} macro the auto macro in the slot
+ */
+const decorateGroup = (slot, macro) => {
+  const count = macro.getFlag(MODULE_ID, 'group')?.length;
+  if (!count) return;
+
+  const badge = document.createElement('span');
+  badge.classList.add('jay-macros-count');
+  badge.textContent = `×${count}`;
+  slot.append(badge);
+};
+
+/**
+ * Dim (or hide) an auto macro whose activation type its actor already spent this turn.
+ * Group macros are left alone, since their actors may have spent different things.
+ * @param {HTMLElement} slot the hotbar slot element
+ * @param {Macro} macro the auto macro in the slot
+ */
+const decorateSpent = (slot, macro) => {
+  if (macro.getFlag(MODULE_ID, 'group')?.length) return;
+
+  const { item, activity } = getAutoMacroSource(macro);
+  if (!isSpent(item, activity)) return;
+
+  slot.classList.add('jay-macros-spent');
+  slot.classList.toggle('jay-macros-spent-hidden', getActionEconomyMode() === 'hide');
+};
+
+/**
+ * Show the portrait of the actor an auto macro belongs to.
+ * @param {HTMLElement} slot the hotbar slot element
+ * @param {Actor|null} actor the actor of the macro, null for group macros
+ */
+const decorateActor = (slot, actor) => {
+  if (!actor) return;
+
+  const portrait = document.createElement('img');
+  portrait.classList.add('jay-macros-portrait');
+  portrait.src = getActorPortrait(actor);
+  portrait.alt = getActorLabel(actor);
+  slot.append(portrait);
+};
+
+/**
+ * Replace the name tooltip of an auto macro with a hover card of the item it uses.
+ * @param {HTMLElement} slot the hotbar slot element
+ * @param {Macro} macro the auto macro in the slot
+ * @returns {Promise} resolves when the tooltip is set
+ */
+const decorateTooltip = async (slot, macro) => {
+  const { item, activity } = getAutoMacroSource(macro);
+  if (!item) return;
+
+  setTooltip(slot, await getTooltipHtml(item, activity, macro.getFlag(MODULE_ID, 'slot') ?? null));
+};
+
+/**
+ * Decorate the auto macros of a rendered hotbar.
+ * @param {HTMLElement|jQuery} html the rendered hotbar
+ */
+export const decorateHotbar = (html) => {
+  const root = html instanceof HTMLElement ? html : html?.[0];
+  if (!root) return;
+
+  const slots = [];
+  for (const slot of root.querySelectorAll('[data-macro-id]')) {
+    slot.querySelectorAll('.jay-macros-badge, .jay-macros-count, .jay-macros-portrait').forEach((e) => e.remove());
+    slot.classList.remove('jay-macros-unavailable', 'jay-macros-spent', 'jay-macros-spent-hidden');
+
+    const macro = game.macros.get(slot.dataset.macroId);
+    if (isAutoMacro(macro)) slots.push({ slot, macro, actor: getMacroActor(macro.flags[MODULE_ID]) });
+  }
+
+  // Portraits only help when the macros of several actors are shown
+  const actors = new Set(slots.map((s) => s.actor).filter((a) => a));
+  for (const { slot, macro, actor } of slots) {
+    decorateResources(slot, macro);
+    decorateGroup(slot, macro);
+    decorateSpent(slot, macro);
+    if (actors.size > 1) decorateActor(slot, actor);
+    decorateTooltip(slot, macro).catch((err) => log('Could not build the tooltip', err));
+  }
+};
+
+/**
+ * Re-render the hotbar if it shows auto macros of an actor, so their badges stay current.
+ * @param {Actor} actor the actor that changed
+ */
+export const refreshHotbarForActor = (actor) => {
+  if (!(actor instanceof Actor)) return;
+
+  const shown = game.user.getHotbarMacros(ui.hotbar?.page ?? 1)
+    .some((sm) => isAutoMacro(sm.macro) && isMacroForActor(sm.macro, actor));
+  if (shown) renderHotbar();
+};
@@ -0,0 +1,73 @@
+import { log } from './utils.mjs';
+
+const MODULE_ID = 'jay-macros';
+
+// The default filters that get a keybinding to jump straight to them
+const JUMP_FILTERS = [
+  { action: 'filterAll', filter: null },
+  { action: 'filterAction', filter: 'action' },
+  { action: 'filterBonus', filter: 'bonus' },
+  { action: 'filterReaction', filter: 'reaction' },
+  { action: 'filterSpell', filter: 'spell' },
+];
+
+// Number of auto items that can be used from the keyboard
+const ITEM_KEYS = 10;
+
+/**
+ * Register a keybinding that runs a handler when the key is pressed.
+ * The key is only consumed when the handler did something, so other keybindings still get it otherwise.
+ * @param {string} action the keybinding action name
+ * @param {object} options the localization key, hint data and default keys
+ * @param {Function} onDown the handler, returning false when there was nothing to do
+ */
+const registerKeybinding = (action, { key, data = {}, editable = [] }, onDown) => {
+  game.keybindings.register(MODULE_ID, action, {
+    name: game.i18n.format(`${MODULE_ID}.keybindings.${key}.name`, data),
+    hint: game.i18n.format(`${MODULE_ID}.keybindings.${key}.hint`, data),
+    editable,
+    onDown: () => {
+      const result = onDown();
+      if (result === false) return false;
+      Promise.resolve(result).catch((err) => log(`Keybinding ${action} failed`, err));
+      return true;
+    },
+  });
+};
+
+/**
+ * Register the keybindings for the filter bar and the auto items. Must be called during init.
+ * Each handler returns false when there was nothing to do, or a promise for what it started.
+ * @param {object} handlers what the keybindings do
+ * @param {function(number): Promise|false} handlers.cycleFilter move to the next (1) or previous (-1) filter
+ * @param {function(string|null): Promise|false} handlers.setFilter switch to a filter id, or null for all
+ * @param {function(): boolean} handlers.toggleFilterBar show or hide the filter bar
+ * @param {function(number): Promise|false} handlers.useAutoItem use auto item 1-10
+ */
+export const registerKeybindings = ({ cycleFilter, setFilter, toggleFilterBar, useAutoItem }) => {
+  registerKeybinding('nextFilter', {
+    key: 'nextFilter',
+    editable: [{ key: 'BracketRight', modifiers: ['Alt'] }],
+  }, () => cycleFilter(1));
+  registerKeybinding('previousFilter', {
+    key: 'previousFilter',
+    editable: [{ key: 'BracketLeft', modifiers: ['Alt'] }],
+  }, () => cycleFilter(-1));
+
+  for (const { action, filter } of JUMP_FILTERS) {
+    registerKeybinding(action, { key: action }, () => setFilter(filter));
+  }
+
+  registerKeybinding('toggleFilterBar', {
+    key: 'toggleFilterBar',
+    editable: [{ key: 'KeyF', modifiers: ['Alt'] }],
+  }, toggleFilterBar);
+
+  for (let n = 1; n <= ITEM_KEYS; n++) {
+    registerKeybinding(`useItem${n}`, {
+      key: 'useItem',
+      data: { n },
+      editable: [{ key: `Digit${n % ITEM_KEYS}`, modifiers: ['Alt'] }],
+    }, () => useAutoItem(n));
+  }
+};
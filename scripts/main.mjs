@@ -1,62 +1,106 @@
 export const MODULE_ID = 'jay-macros';
 
-import { FilterApplication } from './filter-app.mjs';
+import { DEFAULT_FILTER_BAR, FilterApplication, SETTING_FILTER_BAR } from './filter-app.mjs';
+import { FilterConfigApplication } from './filter-config.mjs';
+import {
+  ALL_FILTER, DEFAULT_FILTERS, SETTING_FILTERS, SETTING_USER_FILTERS, getFilter, getFilterDefinitions,
+} from './filters.mjs';
+import { isAutoMacro, planHotbarLayout, reconcileHotbarPage } from './reconcile.mjs';
+import { decorateHotbar, getMacroSource, refreshHotbarForActor } from './hotbar-ui.mjs';
+import { SETTING_GENERIC_ITEM_TYPES, getAdapter, registerAdapter } from './adapters.mjs';
+import { DND5E_ADAPTER } from './adapter-dnd5e.mjs';
+import { sortItems } from './sort.mjs';
+import { getPinnedSlots, pinAutoMacro } from './pins.mjs';
+import {
+  SETTING_PRESETS,
+  createPresetFromHotbar,
+  findPreset,
+  getPresetSlots,
+} from './presets.mjs';
+import { PresetConfigApplication } from './preset-config.mjs';
+import { PreviewApplication } from './preview-app.mjs';
+import { SETTING_CLEANUP_ON_READY, cleanupMacros, ensureMacroFolder, getMacroFolder } from './cleanup.mjs';
+import { CleanupApplication } from './cleanup-app.mjs';
+import { ActionBarApplication, SETTING_DISPLAY_MODE, isActionBarMode } from './action-bar.mjs';
+import { registerKeybindings } from './keybindings.mjs';
+import { getDefaultFilter, getRememberedFilter, rememberFilter, setDefaultFilter } from './filter-memory.mjs';
+import {
+  SETTING_GROUP_ITEMS,
+  SETTING_GROUP_RETARGET,
+  getGroupItemUuids,
+  groupMacroData,
+  promptGroupTarget,
+} from './groups.mjs';
+import { SETTING_MAX_SLOTS_PER_ACTOR, getMacroActor, shareSlots } from './attribution.mjs';
+import {
+  SETTING_ACTION_ECONOMY, getCombatant, getCombatantContextOption, getSpentTypes, markSpent, onCombatTurnChanged, resetSpent,
+} from './action-economy.mjs';
+import { MODIFIER_SETTINGS, ROLL_OPTIONS, getContextOptions, getModifierOptions, getUseCommand } from './roll-options.mjs';
+import {
+  SETTING_ACTIVATION_ACTION,
+  SETTING_ACTIVATION_BONUS,
+  SETTING_ACTIVATION_EMPTY,
+  SETTING_ACTIVATION_NONE,
+  SETTING_ACTIVATION_REACTION,
+  SETTING_ACTIVATION_SPECIAL,
+  USER_OVERRIDE_LOOKUP,
+  activityMatchesFilter,
+  filterItemsByType,
+  getAllowedActionTypes,
+  isActivationEnabled,
+  isActivityAllowed,
+} from './classify.mjs';
+import { getContextElement, log } from './utils.mjs';
 
 // Setting keys
 const SETTING_HOTBAR_PAGE = 'hotbarPage';
 const SETTING_ONLY_GMS = 'onlyGMs';
-const SETTING_ACTIVATION_ACTION = 'action';
-const SETTING_ACTIVATION_BONUS = 'bonus';
-const SETTING_ACTIVATION_REACTION = 'reaction';
-const SETTING_ACTIVATION_SPECIAL = 'special';
-const SETTING_ACTIVATION_NONE = 'none';
-const SETTING_ACTIVATION_EMPTY = 'empty';
 const SETTING_EXPERIMENTAL_FILTERS = 'experimentalFilters';
-
-const ACTION_LOOKUP = new Map([
-  [SETTING_ACTIVATION_ACTION, 'action'],
-  [SETTING_ACTIVATION_BONUS, 'bonus'],
-  [SETTING_ACTIVATION_REACTION, 'reaction'],
-  [SETTING_ACTIVATION_SPECIAL, 'special'],
-  [SETTING_ACTIVATION_NONE, 'none'],
-]);
+const SETTING_USER_HOTBAR_PAGE = 'userHotbarPage';
+const SETTING_ACTIVE_PAGE = 'activePage';
+const SETTING_ACTIVITY_MACROS = 'activityMacros';
+const SETTING_UPCAST_VARIANTS = 'upcastVariants';
+const SETTING_SORT_ORDER = 'sortOrder';
+const SETTING_UPCAST_SPELL_NAMES = 'upcastSpellNames';
 
 let workQueue = Promise.resolve();
 let updateTimeout = null;
 let currentFilter = null; // Track the currently active filter
+let currentSpellFilter = null; // Track the active spell sub-filter
 let collectedItems = []; // Store items from selected tokens for filtering
 let filterApp = null; // FilterApplication instance
+let actionBar = null; // ActionBarApplication instance, when the action bar is used
+let selectionKey = null; // The actors that were selected when the hotbar was last populated
+const usableItemCache = new Map(); // Usable items per actor UUID
 
 /**
- * Log to the console.
- *
- * @param  {...any} args log parameters
+ * Get the hotbar page to populate, preferring the user's own choice over the world default.
+ * @returns {number} the hotbar page
  */
-const log = (...args) => {
-  // eslint-disable-next-line no-console
-  console.log(`${MODULE_ID} |`, ...args);
+const getHotbarPage = () => {
+  return game.settings.get(MODULE_ID, SETTING_USER_HOTBAR_PAGE)
+    || game.settings.get(MODULE_ID, SETTING_HOTBAR_PAGE);
 };
 
-
 /**
  * Check if an item is "usable" based on the type of action action that is required to use it.
- * Note: This is specific to the dnd5e system.
+ * Systems without activations only go by the adapter.
  * 
  * @param {Item} item the item to check.
- * @returns 
+ * @returns {boolean} true if the item can be placed
  */
 const isItemAction = (item) => {
-  if (!item?.system?.activities?.size) {
-    return game.settings.get(MODULE_ID, SETTING_ACTIVATION_EMPTY);
+  const adapter = getAdapter();
+  if (!adapter.isUsableItem(item)) return false;
+  if (!adapter.hasActivations) return true;
+
+  const activities = adapter.getActivities(item);
+  if (!activities.length) {
+    return isActivationEnabled(SETTING_ACTIVATION_EMPTY);
   }
 
-  const allowedActions = ACTION_LOOKUP.entries()
-    .filter(([k]) => game.settings.get(MODULE_ID, k))
-    .map(([, v]) => v);
-  const actionTypes = [...allowedActions];
-  return item?.system?.activities?.values()
-    .some((a) => a?.activation?.type && actionTypes.includes(a.activation.type))
-    ?? false;
+  const actionTypes = getAllowedActionTypes();
+  return activities.some((a) => isActivityAllowed(a, actionTypes));
 };
 
 const createMacroData = (item) => {
@@ -65,100 +109,327 @@ const createMacroData = (item) => {
     scope: "actor",
     name: item.name,
     img: item.img,
-    command: `(await fromUuid("${item.uuid}"))?.use()`,
-    flags: { [MODULE_ID]: { autoMacro: true } },
+    command: getUseCommand(item.uuid, null, null),
+    folder: getMacroFolder()?.id ?? null,
+    flags: { [MODULE_ID]: { autoMacro: true, key: item.uuid, itemUuid: item.uuid } },
+  };
+};
+
+/**
+ * Create the macro data for a single activity of an item.
+ * The macro runs the activity directly, so the activity chooser is skipped.
+ * @param {Item} item the item that owns the activity
+ * @param {Activity} activity the activity to run
+ * @param {boolean} named true to add the activity name to tell it apart from its siblings
+ * @returns {object} the macro data
+ */
+const createActivityMacroData = (item, activity, named) => {
+  return {
+    type: "script",
+    scope: "actor",
+    name: named ? `${item.name}: ${activity.name}` : item.name,
+    img: (named ? activity.img : null) ?? item.img,
+    command: getUseCommand(item.uuid, activity.id, null),
+    folder: getMacroFolder()?.id ?? null,
+    flags: {
+      [MODULE_ID]: { autoMacro: true, key: activity.uuid, itemUuid: item.uuid, activityId: activity.id },
+    },
   };
 };
 
 /**
- * Get the activation type of an item.
+ * Check if upcast variants should be created for an item.
  * @param {Item} item the item to check
- * @returns {string|null} the activation type (action, bonus, reaction, special, none) or null
+ * @returns {boolean} true if the item is a leveled spell that should get upcast variants
+ */
+const shouldUpcast = (item) => {
+  if (!game.settings.get(MODULE_ID, SETTING_UPCAST_VARIANTS)) return false;
+  if (!getAdapter().isSpell(item) || !(getAdapter().getSpellLevel(item) > 0)) return false;
+
+  const names = game.settings.get(MODULE_ID, SETTING_UPCAST_SPELL_NAMES)
+    .split(',')
+    .map((n) => n.trim().toLowerCase())
+    .filter((n) => n);
+  return !names.length || names.includes(item.name.toLowerCase());
+};
+
+/**
+ * Create the macro data that casts a spell macro at a higher slot level, without asking.
+ * @param {Item} item the spell
+ * @param {object} data the macro data of the spell
+ * @param {{key: string, level: number, label: string}} slot the spell slot to cast with
+ * @returns {object} the macro data
+ */
+const createUpcastMacroData = (item, data, slot) => {
+  const flags = data.flags[MODULE_ID];
+  return {
+    ...data,
+    name: `${data.name} (${slot.label})`,
+    command: getUseCommand(item.uuid, flags.activityId ?? null, slot.key),
+    flags: { [MODULE_ID]: { ...flags, key: `${flags.key}#${slot.key}`, slot: slot.key } },
+  };
+};
+
+/**
+ * Add upcast variants after the macros of a spell, one for every higher slot level that is available.
+ * @param {Item} item the item the macros are for
+ * @param {Array<object>} macroData the macro data of the item
+ * @returns {Array<object>} the macro data, with upcast variants if needed
+ */
+const withUpcastVariants = (item, macroData) => {
+  if (!shouldUpcast(item)) return macroData;
+
+  const adapter = getAdapter();
+  const slots = adapter.getAvailableSpellSlots(item.actor, adapter.getSpellLevel(item) + 1);
+  return macroData.flatMap((data) => [data, ...slots.map((slot) => createUpcastMacroData(item, data, slot))]);
+};
+
+/**
+ * Create the macro data for a single item.
+ * When activity macros are enabled, every allowed activity of the item that matches the filter gets its own macro.
+ * @param {Item} item the item to create macros for
+ * @param {object|null} filter the active filter definition
+ * @returns {Array<object>} the macro data
  */
-const getItemActivationType = (item) => {
-  if (!item?.system?.activities?.size) {
-    return 'empty';
+const buildItemMacroData = (item, filter) => {
+  if (!game.settings.get(MODULE_ID, SETTING_ACTIVITY_MACROS)) {
+    return withUpcastVariants(item, [createMacroData(item)]);
   }
 
-  // Get the first activity's activation type
-  const firstActivity = item.system.activities.values().next().value;
-  return firstActivity?.activation?.type ?? 'none';
+  const allActivities = getAdapter().getActivities(item);
+  if (!allActivities.length) return withUpcastVariants(item, [createMacroData(item)]);
+
+  // An item whose allowed activities all miss the filter is left out, not placed as a whole
+  const activities = allActivities
+    .filter((a) => isActivityAllowed(a, getAllowedActionTypes()) && activityMatchesFilter(a, filter));
+
+  const named = allActivities.length > 1;
+  return withUpcastVariants(item, activities.map((activity) => createActivityMacroData(item, activity, named)));
 };
 
 /**
- * Check if an item is a spell.
- * @param {Item} item the item to check
- * @returns {boolean} true if the item is a spell
+ * Create the macro data for a list of items.
+ * Identical items of different actors share one macro, when grouping is enabled.
+ * @param {Array<Item>} items the items to create macros for
+ * @param {object|null} filter the active filter definition
+ * @returns {Array<object>} the macro data
+ */
+const buildMacroData = (items, filter = null) => {
+  const macroData = items.flatMap((item) => buildItemMacroData(item, filter));
+  return game.settings.get(MODULE_ID, SETTING_GROUP_ITEMS) ? groupMacroData(macroData) : macroData;
+};
+
+/**
+ * Create the macro data for a hotbar page (or the action bar), sharing the slots fairly between actors.
+ * @param {Array<Item>} items the items to create macros for
+ * @param {object|null} filter the active filter definition
+ * @param {number|null} page the hotbar page, or null for the action bar
+ * @returns {Array<object>} the macro data that fits, arranged per actor
  */
-const isSpell = (item) => {
-  return item?.type === 'spell';
+const buildPageMacroData = (items, filter, page) => {
+  const capacity = page
+    ? game.user.getHotbarMacros(page).filter((sm) => !sm.macro || isAutoMacro(sm.macro)).length
+    : Infinity;
+  const maxPerActor = game.settings.get(MODULE_ID, SETTING_MAX_SLOTS_PER_ACTOR);
+  return shareSlots(buildMacroData(items, filter), capacity, maxPerActor);
 };
 
 /**
- * Filter items based on the current filter.
- * @param {Array} items the items to filter
- * @param {string} filter the filter type (action, bonus, reaction, spell, or null for all)
- * @returns {Array} the filtered items
+ * Get the usable items of an actor, using the cache when possible.
+ * @param {Actor} actor the actor to check
+ * @returns {Array<Item>} the usable items
  */
-const filterItemsByType = (items, filter) => {
-  if (!filter) return items;
+const getUsableItems = (actor) => {
+  if (usableItemCache.has(actor.uuid)) {
+    return usableItemCache.get(actor.uuid);
+  }
+
+  let items = Array.from(actor.items?.values() ?? []);
 
-  if (filter === 'spell') {
-    return items.filter(isSpell);
+  // See if favorites are available
+  const favItems = getAdapter().getFavorites(actor);
+  if (favItems) {
+    items = favItems;
+    log('Found favorites', favItems.map((i) => i.name));
   }
 
-  return items.filter(item => getItemActivationType(item) === filter);
+  // Filter to just usable items
+  items = items.filter(isItemAction);
+  log('Found usable items', items.map((i) => i.name));
+  usableItemCache.set(actor.uuid, items);
+  return items;
 };
 
+/**
+ * Get the hotbar slots that macros are pinned to.
+ * Manual pins on the actor win over the pins of a layout preset.
+ * @param {Array<Item>} items the items the macros are for
+ * @param {Array<object>} macroData the macro data
+ * @param {number} page the hotbar page
+ * @returns {Map<string, number>} the hotbar slot for each pinned macro key
+ */
+const getMacroPins = (items, macroData, page) => {
+  const actors = new Set(items.map((i) => i.actor).filter((a) => a));
+  return new Map([...getPresetSlots(macroData, page), ...getPinnedSlots(actors, page)]);
+};
 
 /**
- * Update macros based on the current filter.
+ * Use the item, activity or spell slot that the flags of an auto macro point to.
+ * @param {object} flags the module flags of the macro, or of macro data
+ * @param {import('./adapters.mjs').UseOptions} [options] how to use it, from the modifier keys if left out
+ * @returns {Promise} resolves when the item was used
  */
-const updateMacrosForFilter = async () => {
-  // First, clean up existing macros
-  await destroyMacros();
+const useMacroSource = async (flags, options = getModifierOptions()) => {
+  // A group uses every item in turn, each by its own actor and against its own target
+  if (flags.group?.length) {
+    for (const itemUuid of flags.group) {
+      const item = fromUuidSync(itemUuid);
+      const choice = item ? await promptGroupTarget(item) : 'use';
+      if (!choice) break;
+      if (choice === 'use') await useMacroSource({ ...flags, itemUuid, group: null }, options);
+    }
+    return null;
+  }
 
-  if (!collectedItems.length) {
-    log('No items to filter');
-    if (filterApp) filterApp.updateItems([]);
+  const { item, activity } = getMacroSource(flags);
+  if (!item) {
+    ui.notifications.warn(game.i18n.localize(`${MODULE_ID}.useOptions.missing`));
+    return null;
+  }
+
+  // Nothing is spent when the usage dialog was cancelled
+  const result = await getAdapter().useItem(item, activity, flags.slot ?? null, options);
+  if (result) await markSpent(item, activity);
+  return result;
+};
+
+/**
+ * Show the given items in the action bar, instead of creating macros for them.
+ * @param {Array<Item>} items the items to show
+ * @param {object|null} filter the active filter definition
+ */
+const populateActionBar = (items, filter = null) => {
+  const macroData = buildPageMacroData(items, filter, null);
+  if (Hooks.call(`${MODULE_ID}.preCreateMacros`, macroData, { page: null, filter }) === false) {
+    log('Action bar update vetoed');
     return;
   }
 
-  // Apply filter to collected items
-  const filteredItems = filterItemsByType(collectedItems, currentFilter);
-  log(`Filtered to ${filteredItems.length} items (filter: ${currentFilter ?? 'all'})`);
+  actionBar ??= new ActionBarApplication({ onUse: useMacroSource });
+  actionBar.setEntries(macroData);
+};
 
-  if (!filteredItems.length) {
-    log('No items match current filter');
+/**
+ * Populate the auto hotbar page with the given items.
+ * @param {Array<Item>} items the items that should be on the page, in order
+ * @param {object|null} filter the filter definition the items were picked with
+ */
+const populateHotbar = async (items, filter = null) => {
+  if (isActionBarMode()) {
+    populateActionBar(items, filter);
     return;
   }
 
-  const hotbarPage = game.settings.get(MODULE_ID, SETTING_HOTBAR_PAGE);
-  const freeSlots = game.user.getHotbarMacros(hotbarPage)
-    .filter((sm) => !sm.macro)
-    .map((sm) => sm.slot);
+  const hotbarPage = getHotbarPage();
 
-  const macroData = filteredItems.slice(0, freeSlots.length)
-    .map(createMacroData);
+  // The page was changed, so clear out the one we used before, even if that was before a reload.
+  const previousPage = game.settings.get(MODULE_ID, SETTING_ACTIVE_PAGE);
+  if (previousPage !== hotbarPage) {
+    await game.settings.set(MODULE_ID, SETTING_ACTIVE_PAGE, hotbarPage);
+    if (previousPage) {
+      log(`Hotbar page changed from ${previousPage} to ${hotbarPage}`);
+      await reconcileHotbarPage(previousPage, []);
+    }
+  }
 
-  if (!macroData.length) {
-    log('No free slots available');
+  // Other modules may change the macros, or keep the page as it is
+  const macroData = buildPageMacroData(items, filter, hotbarPage);
+  if (Hooks.call(`${MODULE_ID}.preCreateMacros`, macroData, { page: hotbarPage, filter }) === false) {
+    log('Hotbar update vetoed');
     return;
   }
 
-  const macros = await Macro.create(macroData);
+  const pins = getMacroPins(items, macroData, hotbarPage);
+  const changedSlots = await reconcileHotbarPage(hotbarPage, macroData, pins);
+  Hooks.callAll(`${MODULE_ID}.hotbarUpdated`, hotbarPage, changedSlots);
+};
+
+/**
+ * Set the active filter, and show it in the filter bar.
+ * @param {string|null} filter the filter id, or null for all
+ * @param {string|null} [spellFilter] the spell sub-filter
+ */
+const applyFilter = (filter, spellFilter = null) => {
+  const changed = currentFilter !== filter || currentSpellFilter !== spellFilter;
+  currentFilter = filter;
+  currentSpellFilter = spellFilter;
+  if (changed && filterApp) filterApp.setFilter(filter, spellFilter);
+};
+
+/**
+ * Get the actor of the selected token, when exactly one token is selected.
+ * @returns {Actor|null} the actor
+ */
+const getSelectedActor = () => {
+  const tokens = canvas.tokens?.controlled ?? [];
+  return tokens.length === 1 ? tokens[0].actor : null;
+};
+
+/**
+ * Get the filter a newly selected actor starts out on: the one the user last used for it,
+ * then the actor's default filter, then the filter of its layout preset, and otherwise all.
+ * @param {Actor|null} actor the selected actor, null when several are selected
+ * @returns {{filter: string|null, spellFilter: string|null}|null} the filter, or null to keep the current one
+ */
+const getInitialFilter = (actor) => {
+  if (!actor) return null;
 
-  // Update the hotbar in bulk.
-  const update = foundry.utils.deepClone(game.user.hotbar);
+  const remembered = getRememberedFilter(actor);
+  if (remembered && (!remembered.filter || getFilter(remembered.filter))) return remembered;
 
-  for (const macro of macros) {
-    const slot = freeSlots.shift();
-    log(`Assigning ${macro.name} to hotbar slot ${slot}`);
-    update[slot] = macro.id;
+  const defaultFilter = getDefaultFilter(actor);
+  if (defaultFilter && getFilter(defaultFilter)) return { filter: defaultFilter, spellFilter: null };
+
+  const preset = findPreset(actor);
+  if (preset?.filter && getFilter(preset.filter)) {
+    log(`Applying layout preset ${preset.name}`);
+    return { filter: preset.filter, spellFilter: null };
   }
 
-  log('Updating hotbar');
-  await game.user.update({ hotbar: update }, { diff: false, recursive: false, noHook: true });
+  return { filter: null, spellFilter: null };
+};
+
+/**
+ * Remove all auto macros from the auto hotbar page.
+ */
+const destroyMacros = async () => {
+  await populateHotbar([]);
+};
+
+/**
+ * Update macros based on the current filter.
+ */
+const updateMacrosForFilter = async () => {
+  if (!collectedItems.length) {
+    log('No items to filter');
+    await destroyMacros();
+    if (filterApp) filterApp.updateItems([]);
+    return;
+  }
+
+  // The active filter may have been deleted in the meantime
+  const filter = getFilter(currentFilter);
+  if (currentFilter && !filter) applyFilter(null);
+
+  // Apply filter to collected items
+  const filteredItems = filterItemsByType(collectedItems, filter, currentSpellFilter);
+  log(`Filtered to ${filteredItems.length} items (filter: ${currentFilter ?? 'all'}, spells: ${currentSpellFilter ?? 'all'})`);
+
+  if (!filteredItems.length) {
+    log('No items match current filter');
+  }
+
+  await populateHotbar(filteredItems, filter);
 };
 
 /**
@@ -170,8 +441,9 @@ const updateMacrosForSelectedTokens = async () => {
 
   if (!selectedTokens.length) {
     log('No tokens selected, cleaning up macros');
+    selectionKey = null;
     collectedItems = [];
-    currentFilter = null;
+    applyFilter(null);
     await destroyMacros();
     if (filterApp) filterApp.updateItems([]);
     return;
@@ -185,33 +457,30 @@ const updateMacrosForSelectedTokens = async () => {
     if (!token.actor) continue;
 
     log(`Processing token: ${token.name}`);
-    let items = Array.from(token.actor?.items?.values() ?? []);
-
-    // See if favorites are available
-    if (token.actor?.system?.favorites?.length) {
-      const favorites = token.actor.system.favorites;
-
-      // Favorites use relative UUIDs
-      const itemByRelUuid = (fav) => items.find((i) => i.getRelativeUUID(token.actor) === fav.id);
-      const favItems = favorites.filter((fav) => fav.type === 'item')
-        .map(itemByRelUuid);
-      items = favItems;
-      log('Found favorites', favItems.map(i => i?.name));
-    }
 
-    // Filter to just usable items
-    items = items.filter(isItemAction);
-    log('Found usable items', items.map(i => i?.name));
+    // Other modules may add or remove items, or skip the actor altogether
+    const items = [...getUsableItems(token.actor)];
+    if (Hooks.call(`${MODULE_ID}.preCollectItems`, token.actor, items) === false) continue;
     allItems.push(...items);
   }
 
-  // Store items for filtering
-  collectedItems = allItems;
+  // A newly selected actor goes back to the filter it was last on
+  const newSelectionKey = selectedTokens.map((t) => t.actor?.uuid).join();
+  if (newSelectionKey !== selectionKey) {
+    selectionKey = newSelectionKey;
+    const actor = getSelectedActor();
+    const initial = getInitialFilter(actor);
+    if (initial) applyFilter(initial.filter, initial.spellFilter);
+    if (filterApp) filterApp.setDefaultFilter(getDefaultFilter(actor));
+  }
+
+  // Store items for filtering, in the order they should be placed
+  collectedItems = sortItems(allItems, game.settings.get(MODULE_ID, SETTING_SORT_ORDER));
 
   // Nothing to do if no items
   if (!allItems.length) {
     log('No usable items found');
-    currentFilter = null;
+    applyFilter(null);
     await destroyMacros();
     if (filterApp) filterApp.updateItems([]);
     return;
@@ -220,54 +489,121 @@ const updateMacrosForSelectedTokens = async () => {
   // If experimental filters are enabled, create UI and use filter logic
   if (game.settings.get(MODULE_ID, SETTING_EXPERIMENTAL_FILTERS)) {
     log('Using experimental filter mode');
-    if (filterApp) filterApp.updateItems(allItems);
+    if (filterApp) filterApp.updateItems(collectedItems);
     await updateMacrosForFilter();
     return;
   }
 
   // Otherwise, use original logic (no filtering)
-  currentFilter = null;
+  applyFilter(null);
+  await populateHotbar(collectedItems);
+};
+
+/**
+ * Work out why each item of an actor would or would not be collected.
+ * @param {Actor} actor the actor
+ * @returns {{items: Array<Item>, reasons: Map<Item, string>}} the collected items and why the others were left out
+ */
+const explainCollection = (actor) => {
+  const reasons = new Map();
+  const adapter = getAdapter();
+  const favorites = adapter.getFavorites(actor);
 
-  // First, clean up existing macros
-  await destroyMacros();
+  const items = [...getUsableItems(actor)];
+  const skipped = Hooks.call(`${MODULE_ID}.preCollectItems`, actor, items) === false;
 
-  const hotbarPage = game.settings.get(MODULE_ID, SETTING_HOTBAR_PAGE);
-  const freeSlots = game.user.getHotbarMacros(hotbarPage)
-    .filter((sm) => !sm.macro)
-    .map((sm) => sm.slot);
+  for (const item of actor.items?.values() ?? []) {
+    if (favorites && !favorites.includes(item)) reasons.set(item, 'notFavorite');
+    else if (!isItemAction(item)) reasons.set(item, 'activationDisabled');
+    else if (skipped || !items.includes(item)) reasons.set(item, 'removedByModule');
+  }
 
-  const macroData = allItems.slice(0, freeSlots.length)
-    .map(createMacroData);
+  return { items: skipped ? [] : items, reasons };
+};
 
-  if (!macroData.length) {
-    log('No free slots available');
-    return;
+/**
+ * Work out the slot every macro would get, grouped by the item it uses.
+ * The action bar simply shows everything, in order.
+ * @param {Array<Item>} items the items the macros are for
+ * @param {Array<object>} macroData the macro data
+ * @param {number|null} page the hotbar page, or null for the action bar
+ * @returns {Map<string, Array<{name: string, slot: number|null}>>} the macros of each item uuid
+ */
+const planPreviewSlots = (items, macroData, page) => {
+  let placements = macroData.map((data, i) => ({ slot: i + 1, data }));
+  if (page) {
+    const pins = getMacroPins(items, macroData, page);
+    ({ placements } = planHotbarLayout(game.user.getHotbarMacros(page), macroData, pins));
   }
 
-  const macros = await Macro.create(macroData);
+  const macros = new Map();
+  for (const data of macroData) {
+    const slot = placements.find((p) => p.data === data)?.slot ?? null;
+    for (const itemUuid of getGroupItemUuids(data.flags[MODULE_ID])) {
+      if (!macros.has(itemUuid)) macros.set(itemUuid, []);
+      macros.get(itemUuid).push({ name: data.name, slot: slot && page ? ((slot - 1) % 10) + 1 : slot });
+    }
+  }
+  return macros;
+};
 
-  // Update the hotbar in bulk.
-  const update = foundry.utils.deepClone(game.user.hotbar);
+/**
+ * Work out what would be placed on the auto hotbar page for the selected tokens, and why,
+ * without creating, updating or deleting anything.
+ * @returns {{page: number|null, filter: string|null, actors: Array<object>}} the preview, page is null for the action bar
+ */
+const previewHotbar = () => {
+  const page = isActionBarMode() ? null : getHotbarPage();
+  const useFilters = game.settings.get(MODULE_ID, SETTING_EXPERIMENTAL_FILTERS);
+  const filter = useFilters ? getFilter(currentFilter) : null;
+  const spellFilter = useFilters ? currentSpellFilter : null;
 
-  for (const macro of macros) {
-    const slot = freeSlots.shift();
-    log(`Assigning ${macro.name} to hotbar slot ${slot}`);
-    update[slot] = macro.id;
+  const actors = [];
+  const allItems = [];
+  for (const token of canvas.tokens?.controlled ?? []) {
+    if (!token.actor) continue;
+    const { items, reasons } = explainCollection(token.actor);
+    actors.push({ token, actor: token.actor, reasons });
+    allItems.push(...items);
   }
 
-  log('Updating hotbar');
-  await game.user.update({ hotbar: update }, { diff: false, recursive: false, noHook: true });
-};
+  const sorted = sortItems(allItems, game.settings.get(MODULE_ID, SETTING_SORT_ORDER));
+  const filtered = filterItemsByType(sorted, filter, spellFilter);
+  for (const item of sorted) {
+    if (!filtered.includes(item)) actors.find((a) => a.actor === item.actor)?.reasons.set(item, 'filteredOut');
+  }
 
+  // Plan the page exactly like a real update would
+  const macroData = buildPageMacroData(filtered, filter, page);
+  const vetoed = Hooks.call(`${MODULE_ID}.preCreateMacros`, macroData, { page, filter }) === false;
+  const macros = vetoed ? new Map() : planPreviewSlots(filtered, macroData, page);
 
-const destroyMacros = async () => {
-  const hotbarPage = game.settings.get(MODULE_ID, SETTING_HOTBAR_PAGE);
-  const macroIds = game.user.getHotbarMacros(hotbarPage)
-    .filter((sm) => sm.macro?.getFlag(MODULE_ID, 'autoMacro'))
-    .map((sm) => sm.macro.id);
+  return {
+    page,
+    filter: filter?.label ?? null,
+    actors: actors.map(({ token, actor, reasons }) => ({
+      name: token.name,
+      img: token.document?.texture?.src ?? actor.img,
+      items: [...actor.items.values()].map((item) => {
+        const itemMacros = macros.get(item.uuid) ?? [];
+        let reason = reasons.get(item) ?? null;
+        if (!reason && vetoed) reason = 'vetoed';
+        else if (!reason && !itemMacros.some((m) => m.slot)) reason = 'noFreeSlot';
+        return { name: item.name, img: item.img, included: !reason, reason, macros: itemMacros };
+      }),
+    })),
+  };
+};
 
-  log('Cleaning macros', macroIds);
-  await Macro.deleteDocuments(macroIds);
+/**
+ * Queue a hotbar update behind any update that is already running.
+ * A failed update is logged, so it does not block the updates queued after it.
+ * @param {Function} update the update to run
+ * @returns {Promise} resolves when the update is done
+ */
+const queueUpdate = (update) => {
+  workQueue = workQueue.then(update).catch((err) => log('Hotbar update failed', err));
+  return workQueue;
 };
 
 /**
@@ -282,11 +618,124 @@ const scheduleUpdate = () => {
 
   // Schedule a new update after a short delay
   updateTimeout = setTimeout(() => {
-    workQueue = workQueue.then(() => updateMacrosForSelectedTokens());
+    queueUpdate(updateMacrosForSelectedTokens);
     updateTimeout = null;
   }, 100); // 100ms debounce delay
 };
 
+/**
+ * Forget the cached usable items of an actor, and refresh the hotbar if it is selected.
+ * @param {Actor} actor the actor that changed
+ */
+const onActorChanged = (actor) => {
+  if (!(actor instanceof Actor)) return;
+
+  usableItemCache.delete(actor.uuid);
+
+  const onlyGms = game.settings.get(MODULE_ID, SETTING_ONLY_GMS);
+  if (onlyGms && !game.user.isGM) return;
+
+  const selected = canvas.tokens?.controlled?.some((t) => t.actor?.uuid === actor.uuid);
+  if (selected) {
+    log(`Actor ${actor.name} changed, refreshing`);
+    scheduleUpdate();
+  }
+};
+
+/**
+ * Forget every cached item list, and refresh the hotbar.
+ */
+const onFilterSettingChanged = () => {
+  usableItemCache.clear();
+  if (game.ready) scheduleUpdate();
+};
+
+/**
+ * Redraw the filter bar and refresh the hotbar when the filter definitions change.
+ */
+const onFilterDefinitionsChanged = () => {
+  if (!game.ready) return;
+  if (filterApp) filterApp.render();
+  scheduleUpdate();
+};
+
+/**
+ * Switch between placing macros on the hotbar and showing them in the action bar.
+ * The side that is no longer used is cleared out.
+ */
+const onDisplayModeChanged = () => {
+  if (!game.ready) return;
+
+  if (isActionBarMode()) {
+    const page = game.settings.get(MODULE_ID, SETTING_ACTIVE_PAGE);
+    if (page) {
+      queueUpdate(async () => {
+        await game.settings.set(MODULE_ID, SETTING_ACTIVE_PAGE, 0);
+        await reconcileHotbarPage(page, []);
+      });
+    }
+  } else if (actionBar) {
+    actionBar.close();
+    actionBar = null;
+  }
+  scheduleUpdate();
+};
+
+/**
+ * Refresh the hotbar when a setting that changes its layout (like the page) changes.
+ */
+const onLayoutSettingChanged = () => {
+  if (game.ready) scheduleUpdate();
+};
+
+/**
+ * Redraw the auto macros of a combatant when what it spent this turn changes.
+ * @param {Combatant} combatant the combatant that changed
+ * @param {object} changes the changes to the combatant
+ */
+const updateCombatantHook = (combatant, changes) => {
+  if (!foundry.utils.hasProperty(changes, `flags.${MODULE_ID}`)) return;
+  refreshHotbarForActor(combatant.actor);
+  actionBar?.render();
+};
+
+/**
+ * Redraw the auto macros of every combatant once a combat is over, nothing is spent anymore.
+ * @param {Combat} combat the combat that was deleted
+ */
+const deleteCombatHook = (combat) => {
+  combat.combatants.forEach((c) => refreshHotbarForActor(c.actor));
+  actionBar?.render();
+};
+
+const itemChangedHook = (item) => {
+  onActorChanged(item.parent);
+  refreshHotbarForActor(item.parent);
+};
+
+const updateActorHook = (actor, changes) => {
+  if (getAdapter().watchedPaths.some((path) => foundry.utils.hasProperty(changes, path))) {
+    onActorChanged(actor);
+  }
+  refreshHotbarForActor(actor);
+};
+
+const renderHotbarHook = (app, html) => {
+  decorateHotbar(html);
+};
+
+const hotbarDropHook = (hotbar, data, slot) => {
+  if (data?.type !== 'Macro' || !data.uuid) return;
+
+  // Remember the new slot, then refresh so anything the macro replaced gets placed again.
+  // Macros from a compendium that is not loaded only resolve to an index entry.
+  const macro = fromUuidSync(data.uuid);
+  if (!(macro instanceof Macro) || !isAutoMacro(macro)) return;
+  pinAutoMacro(macro, slot, getHotbarPage())
+    .then(() => scheduleUpdate())
+    .catch((err) => log('Could not pin the auto macro', err));
+};
+
 const controlTokenHook = async (token, selected) => {
   const onlyGms = game.settings.get(MODULE_ID, SETTING_ONLY_GMS);
   if (onlyGms && !game.user.isGM) return;
@@ -297,15 +746,211 @@ const controlTokenHook = async (token, selected) => {
   scheduleUpdate();
 };
 
+/**
+ * Check if the filters are turned on.
+ * @returns {boolean} true if the filter bar and filter changes are enabled
+ */
+const areFiltersEnabled = () => game.settings.get(MODULE_ID, SETTING_EXPERIMENTAL_FILTERS);
+
+/**
+ * Change the active filter and update the hotbar. Does nothing while the filters are turned off.
+ * @param {string|null} filter the filter id, or null for all
+ * @param {string|null} [spellFilter] the spell sub-filter
+ * @returns {Promise} resolves when the hotbar is up to date
+ */
+const changeFilter = (filter, spellFilter = null) => {
+  if (!areFiltersEnabled()) return Promise.resolve();
+
+  applyFilter(filter ?? null, spellFilter);
+  rememberFilter(getSelectedActor(), currentFilter, currentSpellFilter)
+    .catch((err) => log('Could not remember the filter', err));
+  return queueUpdate(updateMacrosForFilter);
+};
+
+/**
+ * Make a filter the default of the selected actor, or clear it if it already was.
+ * @param {string|null} filter the filter id, or null for all
+ */
+const toggleDefaultFilter = async (filter) => {
+  const actor = getSelectedActor();
+  if (!actor?.isOwner) {
+    ui.notifications.warn(game.i18n.localize(`${MODULE_ID}.filters.defaultNeedsActor`));
+    return;
+  }
+
+  const defaultFilter = getDefaultFilter(actor) === filter ? null : filter;
+  await setDefaultFilter(actor, defaultFilter);
+  if (filterApp) filterApp.setDefaultFilter(defaultFilter);
+  ui.notifications.info(game.i18n.format(`${MODULE_ID}.filters.${defaultFilter ? 'defaultSet' : 'defaultCleared'}`, {
+    actor: actor.name,
+    filter: getFilter(defaultFilter)?.label ?? '',
+  }));
+};
+
+/**
+ * Move to the next or previous filter that has any items, wrapping around.
+ * Does nothing while the filters are turned off.
+ * @param {number} step 1 for the next filter, -1 for the previous one
+ * @returns {Promise} resolves when the hotbar is up to date
+ */
+const cycleFilter = (step) => {
+  if (!areFiltersEnabled()) return Promise.resolve();
+
+  const filters = [ALL_FILTER, ...getFilterDefinitions()]
+    .filter((f) => !f.id || filterItemsByType(collectedItems, f).length);
+  const index = filters.findIndex((f) => f.id === currentFilter);
+  const next = filters[(index + step + filters.length) % filters.length];
+  return changeFilter(next.id);
+};
+
+/**
+ * Use the auto item in a position of the auto page (or the action bar), even if another hotbar page is shown.
+ * @param {number} n the position, 1-10
+ * @returns {Promise|false} resolves when the item was used, false when there is no auto item in that position
+ */
+const useAutoItem = (n) => {
+  // The modifier of the keybinding itself should not change how the item is used
+  if (isActionBarMode()) return actionBar?.entries[n - 1] ? actionBar.useEntry(n - 1, {}) : false;
+
+  const macroId = game.user.hotbar[((getHotbarPage() - 1) * 10) + n];
+  const macro = macroId ? game.macros.get(macroId) : null;
+  return isAutoMacro(macro) ? useMacroSource(macro.flags[MODULE_ID], {}) : false;
+};
+
+/**
+ * Add the entries that use auto macros in a special way to the hotbar context menu.
+ * Foundry 12 calls it getHotbarEntryContext, Foundry 13 getMacroContextOptions.
+ * @param {Hotbar} hotbar the hotbar
+ * @param {Array<object>} options the context menu entries
+ */
+const hotbarContextHook = (hotbar, options) => {
+  options.push(...getContextOptions(isAutoMacro, (macro, useOptions) => useMacroSource(macro.flags[MODULE_ID], useOptions)));
+
+  const getCombatantOf = (li) => {
+    const macro = game.macros.get(getContextElement(li)?.dataset.macroId);
+    return isAutoMacro(macro) ? getCombatant(getMacroActor(macro.flags[MODULE_ID])) : null;
+  };
+  options.push({
+    name: `${MODULE_ID}.actionEconomy.reset`,
+    icon: '<i class="fas fa-hourglass-start"></i>',
+    condition: (li) => getSpentTypes(getCombatantOf(li)).length > 0,
+    callback: (li) => resetSpent(getCombatantOf(li)),
+  });
+};
+
+/**
+ * Add the entry that resets what a combatant spent this turn to the combat tracker context menu.
+ * Foundry 12 calls it getCombatTrackerEntryContext, Foundry 13 getCombatantContextOptions.
+ * @param {CombatTracker} tracker the combat tracker
+ * @param {Array<object>} options the context menu entries
+ */
+const combatTrackerContextHook = (tracker, options) => {
+  options.push(getCombatantContextOption());
+};
+
+/**
+ * Create the public API, available as `game.modules.get('jay-macros').api`.
+ * @returns {object} the API
+ */
+const createApi = () => ({
+  /**
+   * Use an item, as auto macros do. Modifier keys pick the use options, unless they are given.
+   * @param {string|Array<string>} itemUuid the item uuid, or the uuids of a group of items to use in turn
+   * @param {{activityId: string|null, slot: string|null}} [source] the activity to run and the spell slot to cast with
+   * @param {import('./adapters.mjs').UseOptions} [options] how to use it
+   * @returns {Promise} resolves when the item was used
+   */
+  use: (itemUuid, { activityId = null, slot = null } = {}, options = undefined) => {
+    const group = Array.isArray(itemUuid) ? itemUuid : null;
+    return useMacroSource({ itemUuid: group?.[0] ?? itemUuid, group, activityId, slot }, options);
+  },
+
+  /**
+   * Collect the items of the selected tokens again and update the hotbar.
+   * @returns {Promise} resolves when the hotbar is up to date
+   */
+  refresh: () => {
+    usableItemCache.clear();
+    return queueUpdate(updateMacrosForSelectedTokens);
+  },
+
+  /**
+   * Change the active filter and update the hotbar.
+   * @param {string|null} filter the filter id, or null for all
+   * @param {string|null} [spellFilter] the spell sub-filter
+   * @returns {Promise} resolves when the hotbar is up to date
+   */
+  setFilter: changeFilter,
+
+  /**
+   * Get the usable items that were collected from the selected tokens.
+   * @returns {Array<Item>} the items, before filtering
+   */
+  getCollectedItems: () => [...collectedItems],
+
+  /**
+   * Get the auto macros on the auto hotbar page.
+   * @returns {Array<{slot: number, macro: Macro}>} the auto macros and their slots
+   */
+  getAutoMacros: () => game.user.getHotbarMacros(getHotbarPage())
+    .filter((sm) => isAutoMacro(sm.macro)),
+
+  /**
+   * Work out what would be placed for the selected tokens, and why, without changing anything.
+   * @returns {object} the preview
+   */
+  preview: previewHotbar,
+
+  /**
+   * Create a layout preset from the auto macros of an actor on the auto hotbar page.
+   * @param {Actor} actor the actor
+   * @returns {object} the preset, using the active filter
+   */
+  createPreset: (actor) => createPresetFromHotbar(actor, currentFilter, getHotbarPage()),
+
+  /**
+   * Forget which activation types an actor spent this turn, so its auto macros are no longer dimmed.
+   * @param {Actor} actor the actor
+   * @returns {Promise} resolves when the combatant was updated
+   */
+  resetSpentActions: (actor) => resetSpent(getCombatant(actor)),
+
+  /**
+   * Delete every auto macro that is not on any user's hotbar (GM only).
+   * @returns {Promise<number>} the number of deleted macros
+   */
+  cleanupMacros,
+
+  /**
+   * Open the preview window for the selected tokens.
+   * @returns {PreviewApplication} the preview window
+   */
+  openPreview: () => new PreviewApplication().render(true),
+
+  registerAdapter,
+});
+
 const initHook = () => {
   log('Initialize settings');
 
+  game.modules.get(MODULE_ID).api = createApi();
+  registerKeybindings({
+    cycleFilter: (step) => areFiltersEnabled() && cycleFilter(step),
+    setFilter: (filter) => areFiltersEnabled() && changeFilter(filter),
+    toggleFilterBar: () => {
+      if (!filterApp) return false;
+      filterApp.toggle();
+      return true;
+    },
+    useAutoItem,
+  });
+
   game.settings.register(MODULE_ID, SETTING_HOTBAR_PAGE, {
     name: game.i18n.localize(`${MODULE_ID}.settings.selectHotbarPage.name`),
     hint: game.i18n.localize(`${MODULE_ID}.settings.selectHotbarPage.hint`),
     scope: 'world',
     config: true,
-    requiresReload: true,
+    requiresReload: false,
     type: Number,
     choices: {
       1: "1",
@@ -315,6 +960,7 @@ const initHook = () => {
       5: "5",
     },
     default: 5,
+    onChange: onLayoutSettingChanged,
   });
   game.settings.register(MODULE_ID, SETTING_ONLY_GMS, {
     name: game.i18n.localize(`${MODULE_ID}.settings.onlyGMs.name`),
@@ -333,6 +979,7 @@ const initHook = () => {
     requiresReload: false,
     type: Boolean,
     default: true,
+    onChange: onFilterSettingChanged,
   });
   game.settings.register(MODULE_ID, SETTING_ACTIVATION_BONUS, {
     name: game.i18n.localize(`${MODULE_ID}.settings.activationBonus.name`),
@@ -342,6 +989,7 @@ const initHook = () => {
     requiresReload: false,
     type: Boolean,
     default: true,
+    onChange: onFilterSettingChanged,
   });
   game.settings.register(MODULE_ID, SETTING_ACTIVATION_REACTION, {
     name: game.i18n.localize(`${MODULE_ID}.settings.activationReaction.name`),
@@ -351,6 +999,7 @@ const initHook = () => {
     requiresReload: false,
     type: Boolean,
     default: true,
+    onChange: onFilterSettingChanged,
   });
   game.settings.register(MODULE_ID, SETTING_ACTIVATION_SPECIAL, {
     name: game.i18n.localize(`${MODULE_ID}.settings.activationSpecial.name`),
@@ -360,6 +1009,7 @@ const initHook = () => {
     requiresReload: false,
     type: Boolean,
     default: true,
+    onChange: onFilterSettingChanged,
   });
   game.settings.register(MODULE_ID, SETTING_ACTIVATION_NONE, {
     name: game.i18n.localize(`${MODULE_ID}.settings.activationNone.name`),
@@ -369,6 +1019,7 @@ const initHook = () => {
     requiresReload: false,
     type: Boolean,
     default: false,
+    onChange: onFilterSettingChanged,
   });
   game.settings.register(MODULE_ID, SETTING_ACTIVATION_EMPTY, {
     name: game.i18n.localize(`${MODULE_ID}.settings.activationEmpty.name`),
@@ -378,6 +1029,206 @@ const initHook = () => {
     requiresReload: false,
     type: Boolean,
     default: false,
+    onChange: onFilterSettingChanged,
+  });
+  game.settings.register(MODULE_ID, SETTING_ACTIVITY_MACROS, {
+    name: game.i18n.localize(`${MODULE_ID}.settings.activityMacros.name`),
+    hint: game.i18n.localize(`${MODULE_ID}.settings.activityMacros.hint`),
+    scope: 'client',
+    config: true,
+    requiresReload: false,
+    type: Boolean,
+    default: false,
+    onChange: onFilterSettingChanged,
+  });
+  game.settings.register(MODULE_ID, SETTING_UPCAST_VARIANTS, {
+    name: game.i18n.localize(`${MODULE_ID}.settings.upcastVariants.name`),
+    hint: game.i18n.localize(`${MODULE_ID}.settings.upcastVariants.hint`),
+    scope: 'client',
+    config: true,
+    requiresReload: false,
+    type: Boolean,
+    default: false,
+    onChange: onFilterSettingChanged,
+  });
+  game.settings.register(MODULE_ID, SETTING_UPCAST_SPELL_NAMES, {
+    name: game.i18n.localize(`${MODULE_ID}.settings.upcastSpellNames.name`),
+    hint: game.i18n.localize(`${MODULE_ID}.settings.upcastSpellNames.hint`),
+    scope: 'client',
+    config: true,
+    requiresReload: false,
+    type: String,
+    default: '',
+    onChange: onFilterSettingChanged,
+  });
+  game.settings.register(MODULE_ID, SETTING_FILTER_BAR, {
+    scope: 'client',
+    config: false,
+    type: Object,
+    default: DEFAULT_FILTER_BAR,
+  });
+  game.settings.register(MODULE_ID, SETTING_DISPLAY_MODE, {
+    name: game.i18n.localize(`${MODULE_ID}.settings.displayMode.name`),
+    hint: game.i18n.localize(`${MODULE_ID}.settings.displayMode.hint`),
+    scope: 'client',
+    config: true,
+    requiresReload: false,
+    type: String,
+    choices: {
+      hotbar: game.i18n.localize(`${MODULE_ID}.settings.displayMode.choices.hotbar`),
+      bar: game.i18n.localize(`${MODULE_ID}.settings.displayMode.choices.bar`),
+    },
+    default: 'hotbar',
+    onChange: onDisplayModeChanged,
+  });
+  for (const modifier of MODIFIER_SETTINGS) {
+    game.settings.register(MODULE_ID, modifier.setting, {
+      name: game.i18n.localize(`${MODULE_ID}.settings.${modifier.setting}.name`),
+      hint: game.i18n.localize(`${MODULE_ID}.settings.${modifier.setting}.hint`),
+      scope: 'client',
+      config: true,
+      requiresReload: false,
+      type: String,
+      choices: Object.fromEntries(ROLL_OPTIONS
+        .map((option) => [option, game.i18n.localize(`${MODULE_ID}.useOptions.${option}`)])),
+      default: modifier.default,
+    });
+  }
+  game.settings.register(MODULE_ID, SETTING_GROUP_ITEMS, {
+    name: game.i18n.localize(`${MODULE_ID}.settings.groupItems.name`),
+    hint: game.i18n.localize(`${MODULE_ID}.settings.groupItems.hint`),
+    scope: 'client',
+    config: true,
+    requiresReload: false,
+    type: Boolean,
+    default: true,
+    onChange: onLayoutSettingChanged,
+  });
+  game.settings.register(MODULE_ID, SETTING_GROUP_RETARGET, {
+    name: game.i18n.localize(`${MODULE_ID}.settings.groupRetarget.name`),
+    hint: game.i18n.localize(`${MODULE_ID}.settings.groupRetarget.hint`),
+    scope: 'client',
+    config: true,
+    requiresReload: false,
+    type: Boolean,
+    default: true,
+  });
+  game.settings.register(MODULE_ID, SETTING_MAX_SLOTS_PER_ACTOR, {
+    name: game.i18n.localize(`${MODULE_ID}.settings.maxSlotsPerActor.name`),
+    hint: game.i18n.localize(`${MODULE_ID}.settings.maxSlotsPerActor.hint`),
+    scope: 'client',
+    config: true,
+    requiresReload: false,
+    type: Number,
+    range: { min: 0, max: 20, step: 1 },
+    default: 0,
+    onChange: onLayoutSettingChanged,
+  });
+  game.settings.register(MODULE_ID, SETTING_GENERIC_ITEM_TYPES, {
+    name: game.i18n.localize(`${MODULE_ID}.settings.genericItemTypes.name`),
+    hint: game.i18n.localize(`${MODULE_ID}.settings.genericItemTypes.hint`),
+    scope: 'world',
+    config: true,
+    requiresReload: false,
+    type: String,
+    default: 'weapon, spell, feat, action, consumable',
+    onChange: onFilterSettingChanged,
+  });
+  game.settings.register(MODULE_ID, SETTING_ACTION_ECONOMY, {
+    name: game.i18n.localize(`${MODULE_ID}.settings.actionEconomy.name`),
+    hint: game.i18n.localize(`${MODULE_ID}.settings.actionEconomy.hint`),
+    scope: 'world',
+    config: true,
+    requiresReload: false,
+    type: String,
+    choices: {
+      off: game.i18n.localize(`${MODULE_ID}.settings.actionEconomy.choices.off`),
+      dim: game.i18n.localize(`${MODULE_ID}.settings.actionEconomy.choices.dim`),
+      hide: game.i18n.localize(`${MODULE_ID}.settings.actionEconomy.choices.hide`),
+    },
+    default: 'dim',
+    onChange: () => {
+      ui.hotbar?.render();
+      actionBar?.render();
+    },
+  });
+  game.settings.register(MODULE_ID, SETTING_SORT_ORDER, {
+    name: game.i18n.localize(`${MODULE_ID}.settings.sortOrder.name`),
+    hint: game.i18n.localize(`${MODULE_ID}.settings.sortOrder.hint`),
+    scope: 'client',
+    config: true,
+    requiresReload: false,
+    type: String,
+    choices: {
+      favorites: game.i18n.localize(`${MODULE_ID}.settings.sortOrder.choices.favorites`),
+      activation: game.i18n.localize(`${MODULE_ID}.settings.sortOrder.choices.activation`),
+      spellLevel: game.i18n.localize(`${MODULE_ID}.settings.sortOrder.choices.spellLevel`),
+      type: game.i18n.localize(`${MODULE_ID}.settings.sortOrder.choices.type`),
+      name: game.i18n.localize(`${MODULE_ID}.settings.sortOrder.choices.name`),
+    },
+    default: 'favorites',
+    onChange: onLayoutSettingChanged,
+  });
+  game.settings.register(MODULE_ID, SETTING_FILTERS, {
+    scope: 'world',
+    config: false,
+    type: Object,
+    default: { filters: DEFAULT_FILTERS },
+    onChange: onFilterDefinitionsChanged,
+  });
+  game.settings.register(MODULE_ID, SETTING_USER_FILTERS, {
+    scope: 'client',
+    config: false,
+    type: Object,
+    default: { filters: [] },
+    onChange: onFilterDefinitionsChanged,
+  });
+  game.settings.registerMenu(MODULE_ID, 'filterConfig', {
+    name: game.i18n.localize(`${MODULE_ID}.settings.filterConfig.name`),
+    label: game.i18n.localize(`${MODULE_ID}.settings.filterConfig.label`),
+    hint: game.i18n.localize(`${MODULE_ID}.settings.filterConfig.hint`),
+    icon: 'fas fa-filter',
+    type: FilterConfigApplication,
+    restricted: false,
+  });
+  game.settings.register(MODULE_ID, SETTING_PRESETS, {
+    scope: 'world',
+    config: false,
+    type: Object,
+    default: { presets: [] },
+    onChange: onLayoutSettingChanged,
+  });
+  game.settings.registerMenu(MODULE_ID, 'presetConfig', {
+    name: game.i18n.localize(`${MODULE_ID}.settings.presetConfig.name`),
+    label: game.i18n.localize(`${MODULE_ID}.settings.presetConfig.label`),
+    hint: game.i18n.localize(`${MODULE_ID}.settings.presetConfig.hint`),
+    icon: 'fas fa-table-cells',
+    type: PresetConfigApplication,
+    restricted: true,
+  });
+  game.settings.register(MODULE_ID, SETTING_CLEANUP_ON_READY, {
+    name: game.i18n.localize(`${MODULE_ID}.settings.cleanupOnReady.name`),
+    hint: game.i18n.localize(`${MODULE_ID}.settings.cleanupOnReady.hint`),
+    scope: 'world',
+    config: true,
+    type: Boolean,
+    default: true,
+  });
+  game.settings.registerMenu(MODULE_ID, 'cleanup', {
+    name: game.i18n.localize(`${MODULE_ID}.settings.cleanup.name`),
+    label: game.i18n.localize(`${MODULE_ID}.settings.cleanup.label`),
+    hint: game.i18n.localize(`${MODULE_ID}.settings.cleanup.hint`),
+    icon: 'fas fa-broom',
+    type: CleanupApplication,
+    restricted: true,
+  });
+  game.settings.registerMenu(MODULE_ID, 'preview', {
+    name: game.i18n.localize(`${MODULE_ID}.settings.preview.name`),
+    label: game.i18n.localize(`${MODULE_ID}.settings.preview.label`),
+    hint: game.i18n.localize(`${MODULE_ID}.settings.preview.hint`),
+    icon: 'fas fa-magnifying-glass',
+    type: PreviewApplication,
+    restricted: false,
   });
   game.settings.register(MODULE_ID, SETTING_EXPERIMENTAL_FILTERS, {
     name: game.i18n.localize(`${MODULE_ID}.settings.experimentalFilters.name`),
@@ -388,30 +1239,102 @@ const initHook = () => {
     type: Boolean,
     default: false,
   });
+
+  // Per-user overrides of the world defaults above.
+  game.settings.register(MODULE_ID, SETTING_USER_HOTBAR_PAGE, {
+    name: game.i18n.localize(`${MODULE_ID}.settings.userHotbarPage.name`),
+    hint: game.i18n.localize(`${MODULE_ID}.settings.userHotbarPage.hint`),
+    scope: 'client',
+    config: true,
+    requiresReload: false,
+    type: Number,
+    choices: {
+      0: game.i18n.localize(`${MODULE_ID}.settings.override.default`),
+      1: "1",
+      2: "2",
+      3: "3",
+      4: "4",
+      5: "5",
+    },
+    default: 0,
+    onChange: onLayoutSettingChanged,
+  });
+  game.settings.register(MODULE_ID, SETTING_ACTIVE_PAGE, {
+    scope: 'client',
+    config: false,
+    type: Number,
+    default: 0,
+  });
+  for (const userKey of USER_OVERRIDE_LOOKUP.values()) {
+    game.settings.register(MODULE_ID, userKey, {
+      name: game.i18n.localize(`${MODULE_ID}.settings.${userKey}.name`),
+      hint: game.i18n.localize(`${MODULE_ID}.settings.${userKey}.hint`),
+      scope: 'client',
+      config: true,
+      requiresReload: false,
+      type: String,
+      choices: {
+        default: game.i18n.localize(`${MODULE_ID}.settings.override.default`),
+        include: game.i18n.localize(`${MODULE_ID}.settings.override.include`),
+        exclude: game.i18n.localize(`${MODULE_ID}.settings.override.exclude`),
+      },
+      default: 'default',
+      onChange: onFilterSettingChanged,
+    });
+  }
+};
+
+/**
+ * Register the system adapters, once every module had the chance to listen for it.
+ */
+const setupHook = () => {
+  registerAdapter('dnd5e', DND5E_ADAPTER);
+  Hooks.callAll(`${MODULE_ID}.registerAdapters`, registerAdapter);
+  log(`Using ${getAdapter().id} system adapter`);
 };
 
 /**
  * Called when Foundry is ready to go.
  */
-const readyHook = () => {
+const readyHook = async () => {
   log('Ready');
   Hooks.on('controlToken', controlTokenHook);
+  Hooks.on('createItem', itemChangedHook);
+  Hooks.on('updateItem', itemChangedHook);
+  Hooks.on('deleteItem', itemChangedHook);
+  Hooks.on('updateActor', updateActorHook);
+  Hooks.on('hotbarDrop', hotbarDropHook);
+  Hooks.on('updateCombat', onCombatTurnChanged);
+  Hooks.on('updateCombatant', updateCombatantHook);
+  Hooks.on('deleteCombat', deleteCombatHook);
 
   // Create filter application
   if (game.settings.get(MODULE_ID, SETTING_EXPERIMENTAL_FILTERS)) {
     log('Creating FilterApplication');
     filterApp = new FilterApplication({
-      onFilterChange: async (filter) => {
-        currentFilter = filter;
-        await updateMacrosForFilter();
-      }
+      onFilterChange: changeFilter,
+      onDefaultFilterChange: toggleDefaultFilter,
+      onMove: () => actionBar?.followFilterBar(),
     });
     filterApp.render(true);
     log('FilterApplication rendered');
   }
+
+  // Macros left behind by crashed clients, page changes or drags to other pages
+  await ensureMacroFolder();
+  if (game.user.isGM && game.settings.get(MODULE_ID, SETTING_CLEANUP_ON_READY)) {
+    const deleted = await cleanupMacros();
+    if (deleted) log(`Cleaned up ${deleted} orphaned auto macro(s)`);
+  }
 };
 
 
 Hooks.once('init', initHook);
+Hooks.once('setup', setupHook);
 Hooks.once('ready', readyHook);
+Hooks.on('renderHotbar', renderHotbarHook);
+Hooks.on('getHotbarEntryContext', hotbarContextHook);
+Hooks.on('getMacroContextOptions', hotbarContextHook);
+Hooks.on('getCombatTrackerEntryContext', combatTrackerContextHook);
+Hooks.on('getCombatantContextOptions', combatTrackerContextHook);
 
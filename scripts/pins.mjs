@@ -0,0 +1,57 @@
+import { getMacroKey, isAutoMacro } from './reconcile.mjs';
+import { log } from './utils.mjs';
+
+const MODULE_ID = 'jay-macros';
+
+// Number of slots on a hotbar page
+const PAGE_SIZE = 10;
+
+/**
+ * Get the slots an actor's items were pinned to.
+ * Macro keys contain dots, which would turn into nested objects as flag keys, so the pins are kept in an array.
+ * @param {Actor} actor the actor
+ * @returns {Array<{key: string, slot: number}>} the pins, keyed relative to the actor, slot 1-10 on the page
+ */
+const getActorPins = (actor) => actor?.getFlag(MODULE_ID, 'pins') ?? [];
+
+/**
+ * Get the pinned hotbar slots for the items of some actors on a hotbar page.
+ * @param {Iterable<Actor>} actors the actors
+ * @param {number} page the hotbar page
+ * @returns {Map<string, number>} the hotbar slot for each pinned macro key
+ */
+export const getPinnedSlots = (actors, page) => {
+  const pins = new Map();
+  for (const actor of actors) {
+    for (const { key, slot } of getActorPins(actor)) {
+      pins.set(`${actor.uuid}.${key}`, ((page - 1) * PAGE_SIZE) + slot);
+    }
+  }
+  return pins;
+};
+
+/**
+ * Remember where an auto macro was dragged to on the actor that owns its item.
+ * Dropping it on another page forgets the pin, since it no longer belongs to the auto page.
+ * @param {Macro} macro the macro that was moved
+ * @param {number} slot the hotbar slot it was dropped on
+ * @param {number} page the auto hotbar page
+ */
+export const pinAutoMacro = async (macro, slot, page) => {
+  if (!isAutoMacro(macro)) return;
+
+  const item = fromUuidSync(macro.getFlag(MODULE_ID, 'itemUuid'));
+  const actor = item?.actor;
+  if (!actor?.isOwner) return;
+
+  const key = getMacroKey(macro.flags[MODULE_ID]).slice(actor.uuid.length + 1);
+  const onPage = Math.ceil(slot / PAGE_SIZE) === page;
+  const pageSlot = ((slot - 1) % PAGE_SIZE) + 1;
+
+  // A slot only holds one pin, the newest one wins
+  const pins = getActorPins(actor).filter((p) => p.key !== key && (!onPage || p.slot !== pageSlot));
+  if (onPage) pins.push({ key, slot: pageSlot });
+
+  log(onPage ? `Pinning ${macro.name} to slot ${pageSlot}` : `Unpinning ${macro.name}`);
+  await actor.setFlag(MODULE_ID, 'pins', pins);
+};
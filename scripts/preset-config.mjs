@@ -0,0 +1,144 @@
+import {
+  PRESET_MATCHES,
+  SETTING_PRESETS,
+  getActorSource,
+  getPresets,
+  normalizePreset,
+} from './presets.mjs';
+import { log } from './utils.mjs';
+
+const MODULE_ID = 'jay-macros';
+
+/**
+ * Settings menu where the GM saves, edits, exports and imports layout presets.
+ */
+export class PresetConfigApplication extends foundry.applications.api.HandlebarsApplicationMixin(
+  foundry.applications.api.ApplicationV2,
+) {
+  constructor(options = {}) {
+    super(options);
+    this.presets = foundry.utils.deepClone(getPresets());
+  }
+
+  static DEFAULT_OPTIONS = {
+    id: 'jay-macros-preset-config',
+    tag: 'form',
+    window: {
+      title: 'jay-macros.presetConfig.title',
+      icon: 'fas fa-table-cells',
+      resizable: true,
+    },
+    position: {
+      width: 700,
+      height: 'auto',
+    },
+    classes: ['jay-macros-preset-config'],
+    form: {
+      handler: PresetConfigApplication.#onSubmit,
+      closeOnSubmit: true,
+    },
+    actions: {
+      savePreset: PresetConfigApplication.#onSavePreset,
+      deletePreset: PresetConfigApplication.#onDeletePreset,
+      exportPresets: PresetConfigApplication.#onExportPresets,
+      importPresets: PresetConfigApplication.#onImportPresets,
+    },
+  };
+
+  static PARTS = {
+    form: {
+      template: 'modules/jay-macros/templates/preset-config.hbs',
+    },
+  };
+
+  async _prepareContext() {
+    const matchTypes = Object.keys(PRESET_MATCHES)
+      .map((type) => ({ type, label: game.i18n.localize(`${MODULE_ID}.presetConfig.match.${type}`) }));
+
+    const presets = this.presets.map((preset) => ({
+      ...preset,
+      matchTypes: matchTypes.map((m) => ({ ...m, selected: m.type === preset.match.type })),
+      slotCount: preset.slots.length,
+    }));
+
+    return { presets };
+  }
+
+  _onRender(context, options) {
+    super._onRender(context, options);
+    this.element.querySelector('input[type="file"]')
+      ?.addEventListener('change', this._onImportFile.bind(this));
+  }
+
+  /**
+   * Read the current form values back into the presets, so nothing typed is lost on re-render.
+   */
+  _readForm() {
+    const data = foundry.utils.expandObject(Object.fromEntries(new FormData(this.element)));
+    this.presets = this.presets.map((preset, i) => normalizePreset({ ...preset, ...data.presets?.[i] }));
+  }
+
+  /**
+   * Import presets from a JSON file, replacing presets with the same id.
+   * @param {Event} event the change event of the file input
+   */
+  async _onImportFile(event) {
+    const file = event.currentTarget.files?.[0];
+    if (!file) return;
+
+    try {
+      const json = JSON.parse(await file.text());
+      const imported = (Array.isArray(json) ? json : json.presets ?? []).map(normalizePreset);
+      this._readForm();
+      const ids = new Set(imported.map((p) => p.id));
+      this.presets = [...this.presets.filter((p) => !ids.has(p.id)), ...imported];
+      ui.notifications.info(game.i18n.format(`${MODULE_ID}.presetConfig.imported`, { count: imported.length }));
+      this.render();
+    } catch (err) {
+      ui.notifications.error(game.i18n.localize(`${MODULE_ID}.presetConfig.importFailed`));
+      log('Could not import presets', err);
+    }
+  }
+
+  static async #onSavePreset() {
+    const actor = canvas.tokens?.controlled?.[0]?.actor;
+    if (!actor) {
+      ui.notifications.warn(game.i18n.localize(`${MODULE_ID}.presetConfig.noToken`));
+      return;
+    }
+
+    this._readForm();
+    const preset = game.modules.get(MODULE_ID).api.createPreset(actor);
+
+    // Prefer the source as the match when there is one, so renamed copies still match
+    const source = getActorSource(actor);
+    if (source) preset.match = { type: 'source', value: source };
+
+    this.presets.push(preset);
+    this.render();
+  }
+
+  static async #onDeletePreset(event, target) {
+    this._readForm();
+    this.presets.splice(Number(target.dataset.index), 1);
+    this.render();
+  }
+
+  static async #onExportPresets() {
+    this._readForm();
+    const json = JSON.stringify({ presets: this.presets }, null, 2);
+
+    // Foundry 13 moved it into foundry.utils, older versions have it as a global
+    const saveDataToFile = foundry.utils.saveDataToFile ?? globalThis.saveDataToFile;
+    saveDataToFile(json, 'application/json', `${MODULE_ID}-presets.json`);
+  }
+
+  static async #onImportPresets() {
+    this.element.querySelector('input[type="file"]')?.click();
+  }
+
+  static async #onSubmit() {
+    this._readForm();
+    await game.settings.set(MODULE_ID, SETTING_PRESETS, { presets: this.presets });
+  }
+}
@@ -0,0 +1,126 @@
+import { isAutoMacro } from './reconcile.mjs';
+
+const MODULE_ID = 'jay-macros';
+
+// Setting keys
+export const SETTING_PRESETS = 'layoutPresets';
+
+// Number of slots on a hotbar page
+const PAGE_SIZE = 10;
+
+/**
+ * Get the compendium (or other) source an actor was created from.
+ * @param {Actor} actor the actor
+ * @returns {string|null} the source UUID
+ */
+export const getActorSource = (actor) => {
+  return actor?._stats?.compendiumSource ?? actor?.flags?.core?.sourceId ?? null;
+};
+
+/**
+ * The ways a preset can be matched to an actor.
+ */
+export const PRESET_MATCHES = {
+  name: (actor, value) => actor.name === value,
+  source: (actor, value) => getActorSource(actor) === value,
+  actorType: (actor, value) => actor.type === value,
+};
+
+/**
+ * Get a key for what an auto macro runs that is the same on every actor with the same stat block.
+ * @param {object} flags the module flags of the macro (data)
+ * @returns {string|null} the portable key
+ */
+export const getPortableKey = (flags) => {
+  const item = flags?.itemUuid ? fromUuidSync(flags.itemUuid) : null;
+  if (!item) return null;
+
+  let key = `${item.type}:${item.name}`;
+  if (flags.activityId) key += `:${flags.activityId}`;
+  if (flags.slot) key += `#${flags.slot}`;
+  return key;
+};
+
+/**
+ * Clean up a preset definition, e.g. one that was entered in a form or imported.
+ * @param {object} data the raw preset
+ * @returns {object} the preset
+ */
+export const normalizePreset = (data) => {
+  const matchType = data.match?.type in PRESET_MATCHES ? data.match.type : 'name';
+  return {
+    id: data.id || foundry.utils.randomID(),
+    name: `${data.name ?? ''}`.trim() || 'Preset',
+    filter: data.filter || null,
+    match: { type: matchType, value: `${data.match?.value ?? ''}`.trim() },
+    slots: (Array.isArray(data.slots) ? data.slots : [])
+      .filter((s) => s?.key && s.slot >= 1 && s.slot <= PAGE_SIZE)
+      .map((s) => ({ key: `${s.key}`, slot: Number(s.slot) })),
+  };
+};
+
+/**
+ * Get all layout presets.
+ * @returns {Array<object>} the presets
+ */
+export const getPresets = () => game.settings.get(MODULE_ID, SETTING_PRESETS)?.presets ?? [];
+
+/**
+ * Find the first preset that applies to an actor.
+ * @param {Actor} actor the actor
+ * @returns {object|null} the preset
+ */
+export const findPreset = (actor) => {
+  if (!actor) return null;
+  return getPresets().find((p) => p.match.value && PRESET_MATCHES[p.match.type]?.(actor, p.match.value)) ?? null;
+};
+
+/**
+ * Get the hotbar slots the presets of the actors want for the wanted macros.
+ * @param {Array<object>} macroData the wanted macro data
+ * @param {number} page the hotbar page
+ * @returns {Map<string, number>} the hotbar slot for each macro key
+ */
+export const getPresetSlots = (macroData, page) => {
+  const slots = new Map();
+  const presets = new Map();
+  for (const data of macroData) {
+    const flags = data.flags?.[MODULE_ID];
+    const actor = flags?.itemUuid ? fromUuidSync(flags.itemUuid)?.actor : null;
+    if (!actor) continue;
+
+    if (!presets.has(actor.uuid)) presets.set(actor.uuid, findPreset(actor));
+    const preset = presets.get(actor.uuid);
+    const portableKey = preset ? getPortableKey(flags) : null;
+    const slot = preset?.slots.find((s) => s.key === portableKey)?.slot;
+    if (slot) slots.set(flags.key, ((page - 1) * PAGE_SIZE) + slot);
+  }
+  return slots;
+};
+
+/**
+ * Create a preset from the auto macros of an actor that are on the auto hotbar page right now.
+ * @param {Actor} actor the actor
+ * @param {string|null} filter the active filter
+ * @param {number} page the auto hotbar page
+ * @returns {object} the preset
+ */
+export const createPresetFromHotbar = (actor, filter, page) => {
+  const slots = [];
+  for (const { slot, macro } of game.user.getHotbarMacros(page)) {
+    if (!isAutoMacro(macro)) continue;
+
+    const flags = macro.flags[MODULE_ID];
+    if (!flags.itemUuid?.startsWith(`${actor.uuid}.`)) continue;
+
+    const key = getPortableKey(flags);
+    if (key) slots.push({ key, slot: slot - ((page - 1) * PAGE_SIZE) });
+  }
+
+  return normalizePreset({
+    name: actor.name,
+    filter,
+    match: { type: 'name', value: actor.name },
+    slots,
+  });
+};
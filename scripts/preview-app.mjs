@@ -0,0 +1,61 @@
+const MODULE_ID = 'jay-macros';
+
+/**
+ * Window that shows what would be placed on the auto hotbar page for the selected tokens, and why.
+ * Nothing is created or deleted, it only asks the module API for a preview.
+ */
+export class PreviewApplication extends foundry.applications.api.HandlebarsApplicationMixin(
+  foundry.applications.api.ApplicationV2,
+) {
+  static DEFAULT_OPTIONS = {
+    id: 'jay-macros-preview',
+    tag: 'div',
+    window: {
+      title: 'jay-macros.preview.title',
+      icon: 'fas fa-magnifying-glass',
+      resizable: true,
+    },
+    position: {
+      width: 560,
+      height: 600,
+    },
+    classes: ['jay-macros-preview'],
+    actions: {
+      refresh: PreviewApplication.#onRefresh,
+    },
+  };
+
+  static PARTS = {
+    preview: {
+      template: 'modules/jay-macros/templates/preview.hbs',
+      scrollable: [''],
+    },
+  };
+
+  /**
+   * The preview that was last rendered.
+   * @type {object|null}
+   */
+  preview = null;
+
+  async _prepareContext() {
+    const preview = game.modules.get(MODULE_ID).api.preview();
+    this.preview = preview;
+    for (const actor of preview.actors) {
+      for (const item of actor.items) {
+        item.reasonLabel = item.reason ? game.i18n.localize(`${MODULE_ID}.preview.reasons.${item.reason}`) : null;
+      }
+      actor.includedCount = actor.items.filter((i) => i.included).length;
+    }
+
+    return {
+      ...preview,
+      filter: preview.filter ?? game.i18n.localize(`${MODULE_ID}.preview.allFilter`),
+      hasActors: preview.actors.length > 0,
+    };
+  }
+
+  static #onRefresh() {
+    this.render();
+  }
+}
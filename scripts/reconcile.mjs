@@ -0,0 +1,218 @@
+import { log } from './utils.mjs';
+
+const MODULE_ID = 'jay-macros';
+
+/**
+ * Check if a macro was generated by this module.
+ * @param {Macro} macro the macro to check
+ * @returns {boolean} true if the macro is an auto macro
+ */
+export const isAutoMacro = (macro) => !!macro?.getFlag(MODULE_ID, 'autoMacro');
+
+/**
+ * Get the key that identifies what a macro (or macro data) runs.
+ * Two macros with the same key are interchangeable.
+ * @param {object} flags the module flags of a macro or macro data
+ * @returns {string|null} the key
+ */
+export const getMacroKey = (flags) => flags?.key ?? null;
+
+/**
+ * Work out which slot every wanted macro should end up in, without touching any documents.
+ * Slots holding macros that were not created by this module are never used. Pinned macros
+ * get their own slot first, when it is available, and everything else fills the rest in order.
+ *
+ * @param {Array<{slot: number, macro: Macro|null}>} slots the slots of the hotbar page
+ * @param {Array<object>} macroData the wanted macro data, in order of priority
+ * @param {Map<string, number>} [pins] the pinned hotbar slot for a macro key
+ * @returns {{placements: Array<{slot: number, data: object}>, dropped: Array<object>}} the planned layout
+ */
+export const planHotbarLayout = (slots, macroData, pins = new Map()) => {
+  const available = slots
+    .filter((sm) => !sm.macro || isAutoMacro(sm.macro))
+    .map((sm) => sm.slot);
+
+  const placements = [];
+  const taken = new Set();
+  const unpinned = [];
+  for (const data of macroData) {
+    const slot = pins.get(getMacroKey(data.flags?.[MODULE_ID]));
+    if (slot && available.includes(slot) && !taken.has(slot)) {
+      placements.push({ slot, data });
+      taken.add(slot);
+    } else {
+      unpinned.push(data);
+    }
+  }
+
+  const free = available.filter((slot) => !taken.has(slot));
+  placements.push(...unpinned.slice(0, free.length).map((data, i) => ({ slot: free[i], data })));
+  const dropped = unpinned.slice(free.length);
+
+  return { placements, dropped };
+};
+
+/**
+ * Check if a macro needs to be updated to match the wanted macro data.
+ * @param {Macro} macro the existing macro
+ * @param {object} data the wanted macro data
+ * @returns {boolean} true if the macro is out of date
+ */
+const isMacroStale = (macro, data) => {
+  return macro.name !== data.name
+    || macro.img !== data.img
+    || macro.command !== data.command
+    || (macro.folder?.id ?? null) !== (data.folder ?? null)
+    || !foundry.utils.objectsEqual(macro.flags[MODULE_ID] ?? {}, data.flags?.[MODULE_ID] ?? {});
+};
+
+/**
+ * Create the update that turns an existing macro into the wanted macro data.
+ * Foundry merges flags, so module flags the wanted data no longer has are deleted explicitly.
+ * @param {Macro} macro the existing macro
+ * @param {object} data the wanted macro data
+ * @returns {object} the macro update
+ */
+const toMacroUpdate = (macro, data) => {
+  const wanted = data.flags?.[MODULE_ID] ?? {};
+  const removed = Object.keys(macro.flags[MODULE_ID] ?? {}).filter((key) => !(key in wanted));
+  if (!removed.length) return { _id: macro.id, ...data };
+
+  const deletions = Object.fromEntries(removed.map((key) => [`-=${key}`, null]));
+  return { _id: macro.id, ...data, flags: { ...data.flags, [MODULE_ID]: { ...wanted, ...deletions } } };
+};
+
+/**
+ * Match the planned placements against the auto macros already on the page.
+ * Macros that already run what we want are kept, and macros that are no longer wanted
+ * are reused for new entries before anything gets created.
+ *
+ * @param {Array<{slot: number, macro: Macro|null}>} slots the slots of the hotbar page
+ * @param {Array<{slot: number, data: object}>} placements the planned placements
+ * @returns {object} the slot assignments, macro updates, placements to create and unused macros
+ */
+const matchExistingMacros = (slots, placements) => {
+  const existing = new Map();
+  for (const { macro } of slots) {
+    if (isAutoMacro(macro)) existing.set(macro.id, macro);
+  }
+  const byKey = new Map();
+  for (const macro of existing.values()) {
+    const key = getMacroKey(macro.flags[MODULE_ID]);
+    if (key && !byKey.has(key)) byKey.set(key, macro);
+  }
+
+  const assigned = new Map();
+  const updates = [];
+  const unmatched = [];
+
+  for (const placement of placements) {
+    const key = getMacroKey(placement.data.flags?.[MODULE_ID]);
+    const macro = byKey.get(key);
+    if (!macro) {
+      unmatched.push(placement);
+      continue;
+    }
+
+    byKey.delete(key);
+    existing.delete(macro.id);
+    assigned.set(placement.slot, macro.id);
+    if (isMacroStale(macro, placement.data)) {
+      updates.push(toMacroUpdate(macro, placement.data));
+    }
+  }
+
+  const leftovers = [...existing.values()];
+  const toCreate = [];
+  for (const placement of unmatched) {
+    const macro = leftovers.shift();
+    if (macro) {
+      assigned.set(placement.slot, macro.id);
+      updates.push(toMacroUpdate(macro, placement.data));
+    } else {
+      toCreate.push(placement);
+    }
+  }
+
+  return { assigned, updates, toCreate, leftovers };
+};
+
+/**
+ * Work out the hotbar slot changes against the current hotbar, which may have changed
+ * since the page was planned. Slots that now hold somebody else's macro are left alone.
+ *
+ * @param {Array<{slot: number, macro: Macro|null}>} slots the slots of the hotbar page when it was planned
+ * @param {Map<number, string>} assigned the wanted macro id for each slot
+ * @returns {{changes: object, changedSlots: Array<number>, conflicts: Array<string>}} the hotbar update
+ */
+const diffHotbarSlots = (slots, assigned) => {
+  const previousIds = new Set(slots.filter((sm) => isAutoMacro(sm.macro)).map((sm) => sm.macro.id));
+  const changes = {};
+  const changedSlots = [];
+  const conflicts = [];
+
+  for (const { slot } of slots) {
+    const currentId = game.user.hotbar[slot] ?? null;
+    const current = currentId ? game.macros.get(currentId) : null;
+    const wantedId = assigned.get(slot) ?? null;
+
+    if (current && !isAutoMacro(current)) {
+      if (wantedId) conflicts.push(wantedId);
+    } else if (wantedId && wantedId !== currentId) {
+      log(`Assigning ${game.macros.get(wantedId)?.name} to hotbar slot ${slot}`);
+      changes[slot] = wantedId;
+      changedSlots.push(slot);
+    } else if (!wantedId && currentId && (previousIds.has(currentId) || !current)) {
+      changes[`-=${slot}`] = null;
+      changedSlots.push(slot);
+    }
+  }
+
+  return { changes, changedSlots, conflicts };
+};
+
+/**
+ * Bring the auto macros on a hotbar page in line with the wanted macro data.
+ * Macros that already run the right thing are kept (and moved if needed), macros that are no
+ * longer wanted are reused for new entries, and only the remaining difference is created or
+ * deleted. Only the hotbar slots that actually change are written back to the user.
+ *
+ * @param {number} page the hotbar page to reconcile
+ * @param {Array<object>} macroData the wanted macro data, in order of priority
+ * @param {Map<string, number>} [pins] the pinned hotbar slot for a macro key
+ * @returns {Promise<Array<number>>} the hotbar slots that changed
+ */
+export const reconcileHotbarPage = async (page, macroData, pins = new Map()) => {
+  const slots = game.user.getHotbarMacros(page);
+  const { placements, dropped } = planHotbarLayout(slots, macroData, pins);
+  if (dropped.length) {
+    log(`No free slots for ${dropped.length} macro(s)`, dropped.map((d) => d.name));
+  }
+
+  const { assigned, updates, toCreate, leftovers } = matchExistingMacros(slots, placements);
+
+  if (updates.length) {
+    log('Updating macros', updates.map((u) => u.name));
+    await Macro.updateDocuments(updates);
+  }
+
+  const created = toCreate.length
+    ? await Macro.create(toCreate.map((p) => p.data))
+    : [];
+  toCreate.forEach((placement, i) => assigned.set(placement.slot, created[i].id));
+
+  const { changes, changedSlots, conflicts } = diffHotbarSlots(slots, assigned);
+
+  const orphans = [...leftovers.map((m) => m.id), ...conflicts];
+  if (orphans.length) {
+    log('Cleaning macros', orphans);
+    await Macro.deleteDocuments(orphans);
+  }
+
+  if (changedSlots.length) {
+    log('Updating hotbar slots', changedSlots);
+    await game.user.update({ hotbar: changes }, { noHook: true });
+  }
+
+  return changedSlots;
+};
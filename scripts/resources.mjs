@@ -0,0 +1,129 @@
+/**
+ * Remaining resources of items, used to badge and dim the auto macros.
+ * Note: This is specific to the dnd5e system.
+ */
+
+/**
+ * Get the remaining uses of something with a dnd5e uses field.
+ * @param {object} uses the uses data of an item or activity
+ * @returns {{value: number, max: number}|null} the remaining uses or null if it has none
+ */
+const getUses = (uses) => {
+  const max = Number(uses?.max);
+  if (!max) return null;
+  return { value: Number(uses.value ?? 0), max };
+};
+
+/**
+ * Get the total number of spell slots an actor has left at a spell level or above.
+ * @param {Actor} actor the actor to check
+ * @param {number} level the spell level
+ * @returns {number|null} the number of slots, or null if the actor has no slots at that level
+ */
+const getSpellSlots = (actor, level) => {
+  const spells = actor?.system?.spells;
+  if (!spells) return null;
+
+  let total = null;
+  for (const [key, slot] of Object.entries(spells)) {
+    const slotLevel = key === 'pact' ? slot.level : Number(key.replace('spell', ''));
+    if (!slot?.max || !(slotLevel >= level)) continue;
+    total = (total ?? 0) + Number(slot.value ?? 0);
+  }
+  return total;
+};
+
+/**
+ * Get the spell slots an actor has left at a spell level or above, lowest level first.
+ * @param {Actor} actor the actor to check
+ * @param {number} level the lowest spell level
+ * @returns {Array<{key: string, level: number, label: string}>} the available slots
+ */
+export const getAvailableSpellSlots = (actor, level) => {
+  const spells = actor?.system?.spells ?? {};
+  return Object.entries(spells)
+    .map(([key, slot]) => ({
+      key,
+      level: key === 'pact' ? slot?.level : Number(key.replace('spell', '')),
+      value: Number(slot?.value ?? 0),
+      max: Number(slot?.max ?? 0),
+    }))
+    .filter((slot) => slot.max && slot.value > 0 && slot.level >= level)
+    .sort((a, b) => a.level - b.level)
+    .map(({ key, level: slotLevel }) => ({
+      key,
+      level: slotLevel,
+      label: key === 'pact'
+        ? game.i18n.localize('DND5E.SpellSlotsPact')
+        : CONFIG.DND5E?.spellLevels?.[slotLevel] ?? `${slotLevel}`,
+    }));
+};
+
+/**
+ * Check if a spell is cast using spell slots.
+ * @param {Item} item the spell
+ * @returns {boolean} true if it uses spell slots
+ */
+const usesSpellSlots = (item) => {
+  if (!(item.system.level > 0)) return false;
+
+  // dnd5e 5.x uses method, 4.x uses preparation.mode
+  const mode = item.system.method ?? item.system.preparation?.mode;
+  return ['spell', 'prepared', 'always', 'pact'].includes(mode);
+};
+
+/**
+ * Get the ammunition a weapon can fire.
+ * @param {Item} item the weapon
+ * @returns {number|null} the total quantity of matching ammunition or null if it doesn't use any
+ */
+const getAmmunition = (item) => {
+  if (!item.system.properties?.has?.('amm') || !item.actor) return null;
+
+  const ammoType = item.system.ammunition?.type;
+  return item.actor.items
+    .filter((i) => i.type === 'consumable' && i.system.type?.value === 'ammo')
+    .filter((i) => !ammoType || i.system.type?.subtype === ammoType)
+    .reduce((total, i) => total + Number(i.system.quantity ?? 0), 0);
+};
+
+/**
+ * Get the remaining resource of an item (or one of its activities).
+ * Activity uses come first, then item uses, spell slots, ammunition and finally quantity.
+ * @param {Item} item the item to check
+ * @param {Activity} [activity] the activity that will be used
+ * @param {string} [slot] the spell slot that will be used (spell1 ... spell9, pact)
+ * @returns {{label: string, available: boolean}|null} the resource or null if there is nothing to track
+ */
+export const getItemResource = (item, activity = null, slot = null) => {
+  if (!item?.system) return null;
+
+  // Upcast variants track the slot they cast with
+  if (slot) {
+    const value = Number(item.actor?.system?.spells?.[slot]?.value ?? 0);
+    return { label: `${value}`, available: value > 0 };
+  }
+
+  const uses = getUses(activity?.uses) ?? getUses(item.system.uses);
+  if (uses) {
+    return { label: `${uses.value}/${uses.max}`, available: uses.value > 0 };
+  }
+
+  if (item.type === 'spell') {
+    if (!usesSpellSlots(item)) return null;
+    const slots = getSpellSlots(item.actor, item.system.level);
+    return slots === null ? null : { label: `${slots}`, available: slots > 0 };
+  }
+
+  const ammunition = getAmmunition(item);
+  if (ammunition !== null) {
+    return { label: `${ammunition}`, available: ammunition > 0 };
+  }
+
+  if (item.type === 'consumable') {
+    const quantity = Number(item.system.quantity ?? 0);
+    return { label: `${quantity}`, available: quantity > 0 };
+  }
+
+  return null;
+};
@@ -0,0 +1,59 @@
+import { getContextElement } from './utils.mjs';
+
+const MODULE_ID = 'jay-macros';
+
+// What a modifier key can do when an auto macro is used
+export const ROLL_OPTIONS = ['none', 'fastForward', 'advantage', 'disadvantage'];
+
+// The client setting of each modifier key, with its default option
+export const MODIFIER_SETTINGS = [
+  { modifier: 'Shift', setting: 'modifierShift', default: 'fastForward' },
+  { modifier: 'Alt', setting: 'modifierAlt', default: 'advantage' },
+  { modifier: 'Control', setting: 'modifierControl', default: 'disadvantage' },
+];
+
+/**
+ * Get the macro command of an auto macro. It goes through the module API, so modifier keys are honoured.
+ * @param {string|Array<string>} itemUuid the item uuid, or the uuids of a group of identical items
+ * @param {string|null} activityId the activity to run
+ * @param {string|null} slot the spell slot to cast with
+ * @returns {string} the macro command
+ */
+export const getUseCommand = (itemUuid, activityId, slot) => {
+  const source = { activityId, slot };
+  return `await game.modules.get("${MODULE_ID}")?.api.use(${JSON.stringify(itemUuid)}, ${JSON.stringify(source)});`;
+};
+
+/**
+ * Get the use options picked with the modifier keys that are held down right now.
+ * @returns {import('./adapters.mjs').UseOptions} the use options
+ */
+export const getModifierOptions = () => {
+  const options = {};
+  for (const { modifier, setting } of MODIFIER_SETTINGS) {
+    const option = game.settings.get(MODULE_ID, setting);
+    if (option !== 'none' && game.keyboard?.isModifierActive(modifier)) options[option] = true;
+  }
+  return options;
+};
+
+/**
+ * Get the hotbar context menu entries that use an auto macro in a special way.
+ * @param {function(Macro): boolean} isAutoMacro check if a macro is an auto macro
+ * @param {function(Macro, object): Promise} useMacro use an auto macro with some use options
+ * @returns {Array<object>} the context menu entries
+ */
+export const getContextOptions = (isAutoMacro, useMacro) => {
+  const getMacro = (li) => game.macros.get(getContextElement(li)?.dataset.macroId);
+  const entry = (key, icon, options) => ({
+    name: `${MODULE_ID}.useOptions.${key}`,
+    icon: `<i class="fas ${icon}"></i>`,
+    condition: (li) => isAutoMacro(getMacro(li)),
+    callback: (li) => useMacro(getMacro(li), options),
+  });
+
+  return [
+    entry('noConsume', 'fa-battery-full', { consume: false }),
+    entry('noTemplate', 'fa-ruler-combined', { template: false }),
+  ];
+};
@@ -0,0 +1,58 @@
+import { getItemActivationTypes, isSpell } from './classify.mjs';
+import { getAdapter } from './adapters.mjs';
+
+// The order activation types are placed in, anything else goes last.
+const ACTIVATION_ORDER = ['action', 'bonus', 'reaction', 'special', 'none', 'empty'];
+
+/**
+ * The available sort strategies.
+ * Every strategy returns the keys to compare an item by, before the name and original position.
+ */
+export const SORT_STRATEGIES = {
+  favorites: () => [],
+  activation: (item) => [
+    Math.min(...[...getItemActivationTypes(item)].map((t) => {
+      const index = ACTIVATION_ORDER.indexOf(t);
+      return index < 0 ? ACTIVATION_ORDER.length : index;
+    })),
+  ],
+  spellLevel: (item) => [isSpell(item) ? 0 : 1, isSpell(item) ? getAdapter().getSpellLevel(item) : 0],
+  type: (item) => [item.type ?? ''],
+  name: () => [],
+};
+
+/**
+ * Compare two sort keys.
+ * @param {number|string} a the first key
+ * @param {number|string} b the second key
+ * @returns {number} the comparison result
+ */
+const compareKeys = (a, b) => {
+  if (typeof a === 'string' || typeof b === 'string') {
+    return `${a}`.localeCompare(`${b}`, game.i18n.lang);
+  }
+  return a - b;
+};
+
+/**
+ * Sort items with a strategy. The sort is stable: items that compare equal keep their original
+ * order, and every strategy except favorites falls back to the item name.
+ * @param {Array<Item>} items the items to sort
+ * @param {string} strategy the sort strategy (favorites, activation, spellLevel, type, name)
+ * @returns {Array<Item>} the sorted items
+ */
+export const sortItems = (items, strategy) => {
+  const getKeys = SORT_STRATEGIES[strategy] ?? SORT_STRATEGIES.favorites;
+  const byName = strategy !== 'favorites';
+
+  return items
+    .map((item, index) => ({ item, index, keys: [...getKeys(item), ...(byName ? [item.name ?? ''] : [])] }))
+    .sort((a, b) => {
+      for (let i = 0; i < a.keys.length; i++) {
+        const result = compareKeys(a.keys[i], b.keys[i]);
+        if (result) return result;
+      }
+      return a.index - b.index;
+    })
+    .map(({ item }) => item);
+};
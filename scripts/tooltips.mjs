@@ -0,0 +1,62 @@
+import { getAdapter } from './adapters.mjs';
+
+const MODULE_ID = 'jay-macros';
+
+// Longest description shown in a hover card, in characters
+const MAX_DESCRIPTION = 240;
+
+/**
+ * Enrich a description and shorten it to plain text for a hover card.
+ * @param {string} description the description HTML
+ * @param {Item} item the item the description belongs to
+ * @returns {Promise<string>} the short description
+ */
+const getShortDescription = async (description, item) => {
+  if (!description) return '';
+
+  const editor = foundry.applications.ux?.TextEditor?.implementation ?? TextEditor;
+  const html = await editor.enrichHTML(description, { relativeTo: item, secrets: false });
+  const element = document.createElement('div');
+  element.innerHTML = html;
+  const text = element.textContent.replace(/\s+/g, ' ').trim();
+  return text.length > MAX_DESCRIPTION ? `${text.slice(0, MAX_DESCRIPTION).trimEnd()}…` : text;
+};
+
+/**
+ * Build the hover card of an auto macro from the item (and activity) it uses.
+ * @param {Item} item the item
+ * @param {Activity|null} activity the activity the macro runs
+ * @param {string|null} slot the spell slot it casts with
+ * @returns {Promise<string>} the tooltip HTML
+ */
+export const getTooltipHtml = async (item, activity, slot) => {
+  const adapter = getAdapter();
+  const { properties, description } = adapter.getTooltipData(item, activity);
+  const resource = adapter.getResource(item, activity, slot);
+  if (resource) properties.push({ label: game.i18n.localize(`${MODULE_ID}.tooltip.uses`), value: resource.label });
+
+  const render = foundry.applications.handlebars?.renderTemplate ?? renderTemplate;
+  return render(`modules/${MODULE_ID}/templates/tooltip.hbs`, {
+    name: activity?.name && activity.name !== item.name ? `${item.name}: ${activity.name}` : item.name,
+    img: activity?.img ?? item.img,
+    properties,
+    description: await getShortDescription(description, item),
+  });
+};
+
+/**
+ * Set the hover card of an element, once it is ready.
+ * @param {HTMLElement} element the element to show the card for
+ * @param {string} html the tooltip HTML
+ */
+export const setTooltip = (element, html) => {
+  // Foundry 13 wants HTML tooltips in their own attribute
+  if (game.release.generation >= 13) {
+    delete element.dataset.tooltip;
+    element.dataset.tooltipHtml = html;
+  } else {
+    element.dataset.tooltip = html;
+  }
+  element.dataset.tooltipClass = 'jay-macros-tooltip';
+  element.dataset.tooltipDirection = 'UP';
+};
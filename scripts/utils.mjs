@@ -0,0 +1,19 @@
+const MODULE_ID = 'jay-macros';
+
+/**
+ * Log to the console.
+ *
+ * @param  {...any} args log parameters
+ */
+export const log = (...args) => {
+  // eslint-disable-next-line no-console
+  console.log(`${MODULE_ID} |`, ...args);
+};
+
+/**
+ * Get the element a context menu entry was opened on.
+ * Foundry 13 passes the element, older versions a jQuery object.
+ * @param {HTMLElement|jQuery} li the target the context menu passes to its entries
+ * @returns {HTMLElement|undefined} the element
+ */
+export const getContextElement = (li) => (li instanceof HTMLElement ? li : li?.[0]);